@@ -77,6 +77,39 @@ export interface PostSetterEvent<KV extends StorageRecord = StorageRecord> {
      * ```
      */
     path: (keyof KV)[];
+    /**
+     * Only present if this call is propagated by an in-place array mutation
+     * (see {@link Options.arrayMutators}) or a structural mutation of a deep
+     * Map or Set (see {@link Options.depth}). In that case, {@link val} is the
+     * mutated deep array or collection while {@link prevVal} is a shallow copy
+     * of it before the mutation.
+     */
+    mutation?: ArrayMutation | CollectionMutation;
+    /**
+     * Only present (as `true`) if the property has been removed, e.g. via
+     * {@link ReactiveStorage#delete} or {@link ReactiveStorage.remove}.
+     * In that case, {@link val} is `undefined`.
+     * Note that {@link Options.setter} is not called for removals.
+     */
+    removed?: true;
+}
+/** Names of the array methods that are intercepted by {@link Options.arrayMutators}. */
+export type ArrayMutatorName = 'push' | 'pop' | 'shift' | 'unshift' | 'splice' | 'sort' | 'reverse' | 'fill' | 'copyWithin';
+/** Description of an in-place array mutation, see {@link Options.arrayMutators}. */
+export interface ArrayMutation {
+    /** Name of the array method that was called. */
+    method: ArrayMutatorName;
+    /** Arguments the array method was called with. */
+    args: any[];
+}
+/** Names of the Map and Set methods that structurally mutate a deep collection. */
+export type CollectionMutatorName = 'set' | 'add' | 'delete' | 'clear';
+/** Description of a structural mutation of a deep Map or Set. */
+export interface CollectionMutation {
+    /** Name of the collection method that was called. */
+    method: CollectionMutatorName;
+    /** Arguments the collection method was called with. */
+    args: any[];
 }
 /** {@link Options.setter} event argument. */
 export interface SetterEvent<KV extends StorageRecord = StorageRecord> extends PostSetterEvent<KV> {
@@ -89,6 +122,53 @@ export interface SetterEvent<KV extends StorageRecord = StorageRecord> extends P
      */
     set: (val: any) => void;
 }
+/**
+ * Key path pattern for {@link ReactiveStorage#watch}. Either a string of keys
+ * separated by dots or an array of keys. The key `*` matches any single key.
+ * The keys `**` and `#` of {@link Options.paths} patterns are not supported
+ * and throw a {@link ReactiveStorageError}.
+ */
+export type PathPattern = string | ObjectKey[];
+/** Value types that can be expected by a {@link Schema}. */
+export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'bigint' | 'symbol' | 'function' | 'object' | 'array' | 'null' | 'undefined';
+/**
+ * Declarative description of the values expected by a registered property,
+ * see {@link Options.schema}. All fields are optional.
+ */
+export interface Schema {
+    /** The expected type or one of multiple expected types. */
+    type?: SchemaType | SchemaType[];
+    /** The allowed values, compared via `Object.is`. */
+    enum?: any[];
+    /** The inclusive minimum of a number. */
+    min?: number;
+    /** The inclusive maximum of a number. */
+    max?: number;
+    /** Keys an object is required to have. */
+    required?: ObjectKey[];
+    /** Schemas of the respective property values of an object or array. */
+    properties?: {
+        [key: ObjectKey]: Schema;
+    };
+    /** Schema of every item of an array not covered by {@link properties}. */
+    items?: Schema;
+}
+/** {@link Options.onInvalid} event argument. */
+export interface InvalidEvent<KV extends StorageRecord = StorageRecord> {
+    /** The rejected value. */
+    val: any;
+    /** Key path of the property the value was assigned to. */
+    path: (keyof KV)[];
+    /** Key path of the (possibly nested) value that violates the schema. */
+    invalidPath: ObjectKey[];
+    /** Human readable reason of the rejection. */
+    reason: string;
+    /**
+     * Assign another value instead. It is passed through the usual setters
+     * without being validated again.
+     */
+    set: (val: any) => void;
+}
 export interface Options<KV extends StorageRecord = StorageRecord> {
     /**
      * The endpoint that the registered property points to which holds the actual
@@ -146,6 +226,37 @@ export interface Options<KV extends StorageRecord = StorageRecord> {
      * @default true
      */
     enumerable?: boolean;
+    /**
+     * Whether deeply registered arrays should intercept their mutating methods
+     * `push`, `pop`, `shift`, `unshift`, `splice`, `sort`, `reverse`, `fill` and
+     * `copyWithin` such that they can be used to modify the array in-place.
+     *
+     * A mutation updates the deep endpoint, registers and unregisters the
+     * affected indices (invoking their callbacks as usual) and adjusts the
+     * array's length. In addition, the callbacks of the array property itself
+     * are invoked with a {@link PostSetterEvent.mutation} describing the call.
+     * Returning `true` from the {@link setter} cancels the mutation.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   depth: Infinity,
+     *   arrayMutators: true,
+     *   postSetter: ({ path, mutation }) => {
+     *     if (mutation) console.log(`${mutation.method} on ${path.join('.')}`);
+     *   }
+     * });
+     * storage.register('foo', [ 1, 2 ]);
+     *
+     * storage.target.foo.push(3);
+     * // "push on foo"
+     * ```
+     *
+     * @default false
+     */
+    arrayMutators?: boolean;
     /**
      * Whether and how keys inside any object or array value should be registered
      * such that they go through additional layers of getters and setters.
@@ -206,9 +317,56 @@ export interface Options<KV extends StorageRecord = StorageRecord> {
      *
      * @default 0
      */
-    depth?: number | Omit<Options<KV>, 'target' | 'shallowEndpoint'>;
+    depth?: number | Omit<Options<KV>, 'target' | 'shallowEndpoint' | 'batch' | 'history' | 'persist' | 'eventTarget'>;
+    /**
+     * Batching mode of a {@link ReactiveStorage} instance. Only has an effect in
+     * the first configuration passed to the constructor.
+     *
+     * By default (`'sync'`), notifications are only batched within
+     * {@link ReactiveStorage#batch}. With `'microtask'`, all writes are
+     * additionally batched until the next microtask.
+     *
+     * @default 'sync'
+     */
+    batch?: 'sync' | 'microtask';
+    /**
+     * Whether a {@link ReactiveStorage} instance should record an undo/redo
+     * history of its first layer, exposed via {@link ReactiveStorage#history}.
+     * Only has an effect in the first configuration passed to the constructor.
+     *
+     * @see {@link StorageHistory}
+     * @default false
+     */
+    history?: boolean | HistoryOptions;
+    /**
+     * Persist the data of a {@link ReactiveStorage} instance using the given
+     * adapter or options, see {@link ReactiveStorage#persist}.
+     * Only has an effect in the first configuration passed to the constructor.
+     */
+    persist?: PersistenceAdapter | PersistOptions;
+    /**
+     * Dispatch a `CustomEvent` named `change` on the given `EventTarget` after
+     * a property of a {@link ReactiveStorage} instance has been set, at the same
+     * time as {@link postSetter}. Its `detail` is the {@link StorageChange}.
+     * Only has an effect in the first configuration passed to the constructor.
+     *
+     * @example
+     * ```js
+     * const events = new EventTarget();
+     * const storage = new ReactiveStorage({ eventTarget: events });
+     * events.addEventListener('change', ({ detail }) => {
+     *   console.log(detail.path, detail.val);
+     * });
+     * storage.register('foo', 1);
+     * // "['foo'] 1"
+     * ```
+     */
+    eventTarget?: EventTargetLike;
     /**
      * Called *after* a value has been set.
+     *
+     * Calls made by the first layer of a {@link ReactiveStorage} instance are
+     * deferred and coalesced while batching (see {@link ReactiveStorage#batch}).
      */
     postSetter?: 'inherit' | ((event: PostSetterEvent<KV>) => void);
     /**
@@ -241,6 +399,382 @@ export interface Options<KV extends StorageRecord = StorageRecord> {
      * ```
      */
     getter?: 'inherit' | ((event: GetterEvent<KV>) => KV[keyof KV]);
+    /**
+     * Schema of the object holding the properties of this layer, that is,
+     * {@link target} in the topmost level or the deep object inside
+     * {@link depth}. The schemas of its properties are defined via
+     * {@link Schema.properties} and {@link Schema.items}.
+     *
+     * Every assigned value is validated against the schema of its property
+     * (including all nested values) before it reaches the setter and the
+     * endpoint. Violations are handled as per {@link onInvalid}.
+     *
+     * Unless overridden, a deep layer uses the schema of the property it
+     * belongs to.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   depth: Infinity,
+     *   schema: {
+     *     properties: {
+     *       user: {
+     *         type: 'object',
+     *         required: [ 'name' ],
+     *         properties: {
+     *           name: { type: 'string' },
+     *           age: { type: 'integer', min: 0 },
+     *           role: { enum: [ 'admin', 'guest' ] },
+     *         }
+     *       }
+     *     }
+     *   }
+     * });
+     * storage.register('user', { name: 'foo', age: 42 });
+     *
+     * storage.target.user.age = -1;
+     * // ReactiveStorageError: Invalid value at "user.age": Expected a number >= 0
+     * ```
+     */
+    schema?: Schema;
+    /**
+     * How to handle values that violate the {@link schema}:
+     * - `'throw'`: Throw a {@link ReactiveStorageError} stating the path and the reason.
+     * - `'ignore'`: Silently discard the value.
+     * - `'coerce'`: Try to coerce the value into a valid one, like converting
+     *   numeric strings into numbers or clamping numbers into their range.
+     *   Values that cannot be coerced are discarded.
+     * - A function that is called with the path and the reason.
+     *   The value is discarded unless the passed {@link InvalidEvent.set}
+     *   is used.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden.
+     *
+     * @default 'throw'
+     */
+    onInvalid?: 'throw' | 'ignore' | 'coerce' | ((event: InvalidEvent<KV>) => void);
+    /**
+     * How to handle an object that is assigned within itself, i.e. that is
+     * encountered again while its own values are being registered deeply, or a
+     * deep target that is assigned within itself:
+     * - `'throw'`: Throw a {@link ReactiveStorageError} stating the path.
+     * - `'stop'`: Don't register the value deeply, keeping the plain object.
+     * - `'link'`: Link the deep target that is already being created for the
+     *   object or the existing deep target. Its callbacks are invoked with the
+     *   path of the first occurrence.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden.
+     *
+     * @example
+     * ```js
+     * const obj = { foo: 3 };
+     * obj.self = obj;
+     * const { target } = ReactiveStorage.registerRecursive('obj', obj, { onCycle: 'link' });
+     * target.obj.self.self.foo = 4;
+     * console.log(target.obj.foo) // 4
+     * ```
+     *
+     * @default 'throw'
+     */
+    onCycle?: 'throw' | 'stop' | 'link';
+    /**
+     * Whether an object that is referenced multiple times within an assigned
+     * value should share a single deep target instead of every reference
+     * being registered separately. The callbacks of the shared deep target
+     * are invoked with the path of the first occurrence.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden.
+     *
+     * @default false
+     */
+    shareReferences?: boolean;
+    /**
+     * Options that apply to specific properties only, keyed by glob-style
+     * patterns that are matched against the full key path of a property:
+     * - `*` matches any single key.
+     * - `#` matches any array index.
+     * - `**` matches any number of keys (including none), so `'settings.**'`
+     *   matches `settings` and everything within it.
+     *
+     * The options of all matching patterns are merged into the options of
+     * the property's layer in the order they are defined in, so later
+     * patterns take precedence. They are not inherited into the depth of
+     * a matching property; use a `**` pattern to target a whole branch.
+     *
+     * In contrast to the other options, {@link PathOptions.depth} limits
+     * how many levels of the matching property are registered deeply
+     * (`0` registers it shallowly).
+     *
+     * Unless overridden, this is always inherited into depth.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   depth: Infinity,
+     *   paths: {
+     *     'users.*.name': { setter: ({ val }) => typeof val !== 'string' },
+     *     'settings.**': { postSetter: () => saveSettings() },
+     *     'items.#': { depth: 0 },
+     *   }
+     * });
+     * ```
+     */
+    paths?: {
+        [pattern: string]: PathOptions<KV>;
+    };
+    /**
+     * Whether the keys of a deep value should only be registered the first
+     * time its deep target is read instead of immediately when it is assigned.
+     * This saves a lot of work when assigning large objects of which only
+     * a few branches are ever accessed.
+     *
+     * The results are the same as with eager registration, including the
+     * {@link SetterEvent.initial} flag, the paths that are passed to the
+     * callbacks and cycles being detected on assignment (see {@link onCycle}).
+     * The keys of a deep value are taken from it when it is assigned, while
+     * nested values are only read when their parent is first read. Unlike
+     * with eager registration, mutating a nested object of the assigned value
+     * before that (e.g. `value.a.b = 2`) therefore shows up in the storage, so
+     * the assigned value should not be mutated afterwards.
+     *
+     * Only the point in time at which the initial callbacks of the nested
+     * keys are invoked differs: They are called during the first read of their
+     * parent. They are not recorded for {@link ReactiveStorage#onFlush} and
+     * {@link ReactiveStorage#onPatch}, since the assignment of the deep value
+     * has already been.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden.
+     *
+     * @default false
+     */
+    lazy?: boolean;
+    /**
+     * How to determine whether an assigned value equals the current one,
+     * in which case the assignment is a no-op: No callbacks are invoked and
+     * a deep value is not registered again.
+     * - `false`: Every assignment is processed.
+     * - `Object.is` (or any other function): A custom comparator that is passed
+     *   the new and the current value.
+     * - `'shallow'`: Arrays and object literals are equal if they have the same
+     *   keys with identical values (a deep target is identical to nothing but
+     *   itself).
+     * - `'deep'`: Arrays, object literals, Maps and Sets are compared
+     *   structurally.
+     *
+     * The current value of a deep property is its deep target, whose values
+     * are read without invoking any callbacks during the comparison.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden.
+     *
+     * @default false
+     */
+    equals?: false | 'shallow' | 'deep' | ((val: any, prevVal: any) => boolean);
+    /**
+     * Whether assigning an array or object literal to a deep property whose
+     * deep target has the same shape (array or object) should update the
+     * existing deep target in place instead of replacing it.
+     *
+     * This keeps the identity of the deep target and of all nested deep
+     * targets that can be reconciled in turn. Only keys that were added,
+     * removed or changed are registered, removed (see
+     * {@link ReactiveStorage.remove}) or notified respectively, so assigning
+     * an equal value is a no-op. Since the deep
+     * target is modified in place, the `prevVal` of the reconciled property
+     * is a detached copy of it (see {@link ReactiveStorage.snapshot}).
+     *
+     * By default, array items are reconciled by their index. Pass a `key`
+     * function to match items by their key instead: Deep targets of items
+     * whose key moved to another index are moved along, keeping their
+     * identity, and items with a new key are replaced.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   depth: Infinity,
+     *   reconcile: { key: item => item.id },
+     * });
+     * storage.register('foo', { bar: { baz: 1 }, list: [ { id: 1 } ] });
+     * const bar = storage.target.foo.bar;
+     *
+     * storage.target.foo = { bar: { baz: 2 }, list: [ { id: 2 } ] };
+     * console.log(storage.target.foo.bar === bar) // true
+     * ```
+     *
+     * @default false
+     */
+    reconcile?: boolean | {
+        key: (item: any, index: number) => unknown;
+    };
+    /**
+     * Whether the registered properties should reject any writes after their
+     * initial assignment, including in-place mutations and adding or removing
+     * deep keys:
+     * - `true` or `'throw'`: Throw a {@link ReactiveStorageError}.
+     * - `'silent'`: Silently discard the write.
+     *
+     * Just like {@link enumerable}, this is always inherited unless overridden,
+     * so a deep layer can be made writable again with `readonly: false`.
+     *
+     * Since the accessors of registered properties stay configurable, a plain
+     * `delete` on a target still removes a property. Use
+     * {@link ReactiveStorage#delete} or {@link ReactiveStorage#remove} instead.
+     *
+     * @see {@link ReactiveStorage#readonlyView} and {@link ReactiveStorage#freeze}
+     * for read-only access at runtime.
+     *
+     * @default false
+     */
+    readonly?: boolean | 'throw' | 'silent';
+}
+/** Options of a single pattern of {@link Options.paths}. */
+export type PathOptions<KV extends StorageRecord = StorageRecord> = Pick<Options<KV>, 'setter' | 'getter' | 'postSetter' | 'enumerable' | 'depthFilter'> & {
+    /** Maximum amount of levels the matching property is registered deeply with. */
+    depth?: number;
+};
+/** A JSON Patch operation as per RFC 6902. */
+export interface PatchOperation {
+    op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+    /** JSON Pointer (RFC 6901) of the target location. */
+    path: string;
+    value?: any;
+    from?: string;
+}
+/** An operation rejected by {@link ReactiveStorage#applyPatch}. */
+export interface PatchRejection {
+    /** Index of the operation within the passed list. */
+    index: number;
+    op: PatchOperation;
+    /** Human readable reason of the rejection. */
+    reason: string;
+}
+/**
+ * Minimal interface to load and save the persisted data of a
+ * {@link ReactiveStorage} instance. See {@link Adapter} for bundled adapters.
+ */
+export interface PersistenceAdapter {
+    /** Load the persisted data synchronously, if any. */
+    load(): StorageRecord | undefined;
+    /** Save the given data. */
+    save(data: StorageRecord): void;
+}
+/** Options of {@link ReactiveStorage#persist}. */
+export interface PersistOptions {
+    adapter: PersistenceAdapter;
+    /**
+     * Key path patterns (see {@link PathPattern}) of the properties to persist,
+     * including all of their descendants.
+     * @default All properties
+     */
+    paths?: PathPattern[];
+    /**
+     * Time in milliseconds to wait after the last change before saving.
+     * @default 100
+     */
+    debounce?: number;
+    /**
+     * Called with errors thrown by {@link PersistenceAdapter.save}
+     * while saving in the background.
+     * @default console.error
+     */
+    onError?: (error: unknown) => void;
+}
+/** Subset of the Web Storage API used by {@link Adapter.webStorage}. */
+export interface WebStorageLike {
+    getItem(key: string): string | null;
+    setItem(key: string, value: string): void;
+}
+/** Subset of the Node.js `fs` module used by {@link Adapter.file}. */
+export interface FileSystemLike {
+    existsSync(path: string): boolean;
+    readFileSync(path: string, encoding: 'utf8'): string;
+    writeFileSync(path: string, data: string): void;
+}
+/** Subset of the DOM `EventTarget` used by {@link Options.eventTarget}. */
+export interface EventTargetLike {
+    dispatchEvent(event: any): boolean;
+}
+/** A change yielded by {@link ReactiveStorage#changes}. */
+export type StorageChange<KV extends StorageRecord = StorageRecord> = Pick<PostSetterEvent<KV>, 'path' | 'val' | 'prevVal' | 'initial'>;
+/** Options of {@link ReactiveStorage#changes}. */
+export interface ChangesOptions {
+    /**
+     * Maximum number of changes that are buffered while the consumer is busy.
+     * @default 100
+     */
+    bufferSize?: number;
+    /**
+     * What to do when a change arrives while the buffer is full:
+     * - `'drop-oldest'`: Discard the oldest buffered change.
+     * - `'drop-newest'`: Discard the arriving change.
+     * - `'throw'`: Stop listening and reject the next iteration (after all
+     *   buffered changes have been consumed) with a {@link ReactiveStorageError}.
+     * @default 'drop-oldest'
+     */
+    overflow?: 'drop-oldest' | 'drop-newest' | 'throw';
+}
+/** Observer of a {@link StorageObservable}. */
+export interface Observer<T> {
+    next?(val: T): void;
+    error?(err: unknown): void;
+    complete?(): void;
+}
+/** Subscription to a {@link StorageObservable}. */
+export interface Subscription {
+    unsubscribe(): void;
+    readonly closed: boolean;
+}
+/**
+ * Observable of the value of a property, see {@link ReactiveStorage#observe}.
+ * Interoperable with libraries like RxJS via `Symbol.observable`.
+ */
+export interface StorageObservable<T> {
+    subscribe(observer?: Observer<T> | ((val: T) => void)): Subscription;
+    /** `Symbol.observable` if present (e.g. polyfilled by RxJS) → the observable itself. */
+    [observable: symbol]: () => StorageObservable<T>;
+    '@@observable'?: () => StorageObservable<T>;
+}
+/** Signal of the value of a property, see {@link ReactiveStorage#signal}. */
+export interface StorageSignal<T> {
+    /** Read the current value through the reactive accessors. */
+    get(): T;
+    /** Write a value through the reactive accessors, see {@link ReactiveStorage#set}. */
+    set(val: T): boolean;
+    /**
+     * Call the given function with the current value and after every change.
+     * @return A function that removes the subscription again.
+     */
+    subscribe(callback: (val: T) => void): () => void;
+}
+/** Options of {@link ReactiveStorage.bind}. */
+export interface BindOptions {
+    /**
+     * Which way changes are propagated: From the first to the second path
+     * (`'forward'`), from the second to the first path (`'backward'`)
+     * or both ways.
+     * @default 'both'
+     */
+    direction?: 'both' | 'forward' | 'backward';
+    /** Transform a value that is propagated from the first to the second path. */
+    forward?: (val: any) => any;
+    /** Transform a value that is propagated from the second to the first path. */
+    backward?: (val: any) => any;
+    /**
+     * Whether the value should be propagated once immediately
+     * (from the first to the second path unless the direction is `'backward'`).
+     * @default true
+     */
+    immediate?: boolean;
+}
+/** Options of a {@link StorageHistory}. */
+export interface HistoryOptions {
+    /**
+     * Maximum number of entries that can be undone.
+     * Older entries are discarded.
+     * @default Infinity
+     */
+    maxSize?: number;
 }
 /**
  * Central configuration for registering properties.
@@ -286,6 +820,61 @@ export declare const Filter: {
     /** Matches everything (always returns true). */
     readonly any: () => true;
 };
+/**
+ * Provides adapters for use in {@link ReactiveStorage#persist}
+ * that store the data as JSON.
+ *
+ * Also exposed via {@link ReactiveStorage.Adapter}.
+ */
+export declare const Adapter: {
+    /**
+     * Persist into an object implementing the Web Storage API, like
+     * `localStorage` or `sessionStorage`, under the given key.
+     */
+    readonly webStorage: (storage: WebStorageLike, key: string) => PersistenceAdapter;
+    /**
+     * Persist into the file at the given path (Node.js and compatible).
+     * The `fs` module is obtained automatically in Node.js >= 20.16 and >= 22.3
+     * (`process.getBuiltinModule`), otherwise it must be passed explicitly.
+     */
+    readonly file: (path: string, fs?: FileSystemLike) => PersistenceAdapter;
+};
+/**
+ * Codes of a {@link ReactiveStorageError}:
+ * - `EMPTY_CONFIG_CHAIN`: An empty array has been passed as configuration.
+ * - `INVALID_CONFIG_LAYER`: A configuration layer is not an object.
+ * - `UNKNOWN_OPTION`: A configuration layer contains an unknown option.
+ * - `INVALID_OPTION`: An option has an invalid value.
+ * - `MISPLACED_OPTION`: An option is used in a layer where it has no effect.
+ * - `SCHEMA_VIOLATION`: An assigned value violates its {@link Options.schema}.
+ * - `CIRCULAR_REFERENCE`: An object is assigned within itself
+ *   (see {@link Options.onCycle}).
+ * - `READONLY`: A read-only property, view or frozen storage is written to
+ *   (see {@link Options.readonly}).
+ * - `UNSUPPORTED_ENVIRONMENT`: A required API is not available.
+ * - `BUFFER_OVERFLOW`: The buffer of {@link ReactiveStorage#changes} has
+ *   overflowed with the `'throw'` overflow policy.
+ * - `INVALID_LAYER_INDEX`: A layer is added or removed at an invalid index
+ *   (see {@link ReactiveStorage#addLayer}).
+ * - `INVALID_PATH_PATTERN`: A {@link PathPattern} contains a key that is
+ *   only supported by {@link Options.paths}.
+ */
+export type ReactiveStorageErrorCode = 'EMPTY_CONFIG_CHAIN' | 'INVALID_CONFIG_LAYER' | 'UNKNOWN_OPTION' | 'INVALID_OPTION' | 'MISPLACED_OPTION' | 'SCHEMA_VIOLATION' | 'CIRCULAR_REFERENCE' | 'READONLY' | 'UNSUPPORTED_ENVIRONMENT' | 'BUFFER_OVERFLOW' | 'INVALID_LAYER_INDEX' | 'INVALID_PATH_PATTERN';
+/**
+ * Error thrown by ReactiveStorage. Its {@link code} can be used to
+ * distinguish the different kinds of errors.
+ */
+export declare class ReactiveStorageError extends Error {
+    name: string;
+    /** Kind of the error. */
+    code: ReactiveStorageErrorCode;
+    /**
+     * Configuration layer the error originates from, like `config[1].depth`,
+     * if applicable.
+     */
+    layer?: string;
+    constructor(code: ReactiveStorageErrorCode, message: string, layer?: string);
+}
 /**
  * Reactivity helper to register, observe and intercept deeply reactive data
  * without proxies.
@@ -306,15 +895,433 @@ export declare class ReactiveStorage<KV extends StorageRecord> implements Regist
         /** Matches everything (always returns true). */
         readonly any: () => true;
     };
+    /** @see {@link Adapter} */
+    static readonly Adapter: {
+        /**
+         * Persist into an object implementing the Web Storage API, like
+         * `localStorage` or `sessionStorage`, under the given key.
+         */
+        readonly webStorage: (storage: WebStorageLike, key: string) => PersistenceAdapter;
+        /**
+         * Persist into the file at the given path (Node.js and compatible).
+         * The `fs` module is obtained automatically in Node.js >= 20.16 and >= 22.3
+         * (`process.getBuiltinModule`), otherwise it must be passed explicitly.
+         */
+        readonly file: (path: string, fs?: FileSystemLike) => PersistenceAdapter;
+    };
     readonly shallowEndpoint: StorageRecord;
     readonly target: Target<KV>;
     readonly targets: Target<KV>[];
     readonly config: OptionsWhole<KV>[];
+    /**
+     * Undo/redo history of the instance.
+     * Only present if enabled via {@link Options.history}.
+     */
+    readonly history?: StorageHistory;
     constructor(config?: Configuration<KV>);
     /** Check for existence of a registered property on {@link target}. */
     has(key: ObjectKey): boolean;
     /** Delete {@link target} and {@link shallowEndpoint} entry of a registered property. */
     delete(key: ObjectKey): boolean;
+    /**
+     * Set a value at the given key path through the reactive accessors.
+     *
+     * If the addressed property does not exist yet, it is registered first,
+     * either with the instance's configuration ({@link config}) if the path
+     * consists only of a single key or with the options its parent deep target
+     * has been registered with. See {@link ReactiveStorage.set}.
+     *
+     * @param path The key path of the property, starting with the registered key.
+     * @param value The value to assign.
+     *
+     * @return Whether the value could be set, i.e. whether the parent of the
+     *         addressed property is a deep target.
+     */
+    set(path: ObjectKey | ObjectKey[], value: any): boolean;
+    /**
+     * Remove the property at the given key path from its deep target and the
+     * respective deep endpoint. A path consisting only of a single key is
+     * the same as {@link delete}. See {@link ReactiveStorage.remove}.
+     *
+     * @param path The key path of the property, starting with the registered key.
+     *
+     * @return Whether the property existed and was removed.
+     */
+    remove(path: ObjectKey | ObjectKey[]): boolean;
+    /**
+     * Add a listener that is called after a property matching the given key path
+     * pattern has been set, with the same event as {@link Options.postSetter}.
+     *
+     * The pattern must match the full path of a property. A `*` matches any
+     * single key. Only the first layer of the definition chain
+     * ({@link target}) is observed.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('users', [ { id: 1 } ]);
+     *
+     * const unwatch = storage.watch('users.*.id', ({ val, path }) => {
+     *   console.log(`${path.join('.')}:`, val);
+     * });
+     * storage.target.users[0].id = 2;
+     * // "users.0.id: 2"
+     *
+     * unwatch();
+     * ```
+     *
+     * @param pattern The key path pattern to observe, see {@link PathPattern}.
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
+     */
+    watch(pattern: PathPattern, callback: (event: PostSetterEvent<KV>) => void): () => void;
+    /**
+     * Iterate asynchronously over all changes of properties matching the given
+     * key path pattern (see {@link watch}) or of all properties if omitted.
+     * The changes are picked up at the same time as {@link Options.postSetter}.
+     *
+     * Changes that arrive while the consumer is busy are buffered, see
+     * {@link ChangesOptions}. Listening stops once the iteration is ended
+     * by the consumer, e.g. via `break`.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     *
+     * for await (const { path, val } of storage.changes('user.name')) {
+     *   console.log(path, val);
+     *   if (val === 'baz') break;
+     * }
+     * ```
+     *
+     * @param pattern The key path pattern to observe, see {@link PathPattern}.
+     * @param options See {@link ChangesOptions}.
+     */
+    changes(pattern?: PathPattern, options?: ChangesOptions): AsyncIterableIterator<StorageChange<KV>>;
+    /**
+     * Create an observable of the value at the given key path.
+     *
+     * A subscriber is called with the current value immediately and with the new
+     * value after every flush (see {@link onFlush}) that changed the property,
+     * any of its descendants or any of its parents, except for primitive values
+     * that stayed the same. The value is always read through the reactive
+     * accessors, so it stays valid when a deep parent is reassigned.
+     *
+     * The observable implements `Symbol.observable` (or `@@observable`),
+     * so it can be passed to the `from` of RxJS and similar libraries.
+     *
+     * If `next` throws, the subscription is closed and the error is passed to
+     * the observer's `error` or, if there is none, reported asynchronously
+     * as an uncaught error. `complete` is never called since a property can
+     * always be registered again.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     *
+     * const subscription = storage.observe('user.name').subscribe(name => {
+     *   console.log(name);
+     * });
+     * // "foo"
+     *
+     * storage.target.user = { name: 'bar' };
+     * // "bar"
+     *
+     * subscription.unsubscribe();
+     * ```
+     *
+     * @param path The key path of the property, starting with the registered key.
+     */
+    observe<T = any>(path: PathPattern): StorageObservable<T>;
+    /**
+     * Create a signal bound to the property at the given key path, whose value
+     * is read and written through the reactive accessors. Like
+     * {@link observe}, it stays valid when a deep parent is reassigned.
+     *
+     * Reading via `get()` within {@link effect} or {@link computed} is tracked.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     *
+     * const name = storage.signal('user.name');
+     * name.subscribe(val => { console.log(val) });
+     * // "foo"
+     *
+     * name.set('bar');
+     * // "bar"
+     * console.log(storage.target.user.name) // "bar"
+     * ```
+     *
+     * @param path The key path of the property, starting with the registered key.
+     */
+    signal<T = any>(path: PathPattern): StorageSignal<T>;
+    /**
+     * Run the given function while batching all notifications of the instance's
+     * first layer, i.e. its {@link Options.postSetter} calls and {@link watch}
+     * listeners.
+     *
+     * Writes inside the batch reach their endpoints immediately, but
+     * notifications are deferred until the outermost batch has finished.
+     * They are then coalesced by path such that every changed path is notified
+     * only once with its first `prevVal` and its final `val`. Finally, all
+     * {@link onFlush} listeners are called with the list of changes.
+     *
+     * A listener that throws while flushing does not prevent the remaining ones
+     * from being called. Its error is rethrown afterwards (as an
+     * `AggregateError` if there are multiple), which in microtask mode
+     * (see {@link Options.batch}) reports it as an uncaught error.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   postSetter: ({ val, prevVal }) => { console.log(`${prevVal} -> ${val}`) }
+     * });
+     * storage.register('foo', 1);
+     * // "undefined -> 1"
+     *
+     * storage.batch(() => {
+     *   storage.target.foo = 2;
+     *   storage.target.foo = 3;
+     * });
+     * // "1 -> 3"
+     * ```
+     *
+     * @param fn The function to run.
+     *
+     * @return The return value of `fn`.
+     */
+    batch<T>(fn: () => T): T;
+    /**
+     * Add a listener that is called with every coalesced list of changes,
+     * including removed properties (see {@link PostSetterEvent.removed}).
+     *
+     * Outside of a batch (see {@link batch}), every write is flushed on its own,
+     * including all nested writes of a deep reassignment. A flush listener is
+     * thus called only once per reassignment.
+     *
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
+     */
+    onFlush(callback: (changes: PostSetterEvent<KV>[]) => void): () => void;
+    /**
+     * Add a listener that is called with the JSON Patch operations (RFC 6902)
+     * of every flush (see {@link onFlush}).
+     *
+     * Changes are converted into `add` (initial assignments), `replace` or
+     * `remove` (see {@link remove}) operations of their outermost paths, each
+     * carrying a snapshot (see {@link snapshot}) of the current value.
+     * An in-place array mutation results in a `replace` of the whole array.
+     * Paths containing symbols cannot be represented and are skipped.
+     *
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
+     */
+    onPatch(callback: (ops: PatchOperation[]) => void): () => void;
+    /**
+     * Apply the given JSON Patch operations (RFC 6902) within a single batch
+     * (see {@link batch}), writing every value through the reactive accessors.
+     *
+     * The operations `add`, `replace` and `remove` are supported. Unlike
+     * the RFC, the patch is not atomic: Every operation is applied on its own
+     * and operations that cannot be applied are rejected. This is the case
+     * if its path or its parent does not exist or if its parent is not a
+     * target or a deep target, so the value cannot be registered.
+     *
+     * @param ops The operations to apply.
+     *
+     * @return All rejected operations along with the reason.
+     */
+    applyPatch(ops: PatchOperation[]): PatchRejection[];
+    /**
+     * Persist the instance's data using the given adapter (see {@link Adapter}).
+     *
+     * The saved data is loaded immediately. Properties that are already
+     * registered are assigned their saved values, properties registered later
+     * on are initialized with their saved value instead of the passed initial
+     * value. With restricted {@link PersistOptions.paths}, the saved values are
+     * merged into the initial value.
+     *
+     * Afterwards, the persisted properties are saved (as a
+     * {@link snapshot}) after every change, debounced by
+     * {@link PersistOptions.debounce}.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.persist({
+     *   adapter: Adapter.webStorage(localStorage, 'settings'),
+     *   paths: [ 'theme', 'user.name' ],
+     * });
+     * storage.register('theme', 'light'); // Initialized with the saved theme, if any
+     * ```
+     *
+     * @param options The adapter to use or a full set of options.
+     *
+     * @return A function that stops persisting, saving any pending changes.
+     */
+    persist(options: PersistenceAdapter | PersistOptions): () => void;
+    /**
+     * Define a getter-only property on {@link target} whose value is derived
+     * from other registered properties.
+     *
+     * The given function is run immediately while recording every registered
+     * property of the instance's first layer it reads. Its result is cached
+     * until one of these properties is set, at which point it is recomputed
+     * (once after the write or {@link batch} that has set them) and its
+     * dependencies are recorded anew. If the result has changed,
+     * the instance's {@link Options.postSetter} and {@link watch} listeners
+     * are notified with the computed property's path.
+     *
+     * The property can be removed again using {@link delete}.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('items', [ { price: 2 }, { price: 3 } ]);
+     * storage.computed('total', () => {
+     *   return storage.target.items.reduce((sum, item) => sum + item.price, 0);
+     * });
+     * storage.watch('total', ({ val }) => { console.log("Total:", val) });
+     *
+     * storage.target.items[0].price = 5;
+     * // "Total: 8"
+     * ```
+     *
+     * @param key The property name to define on {@link target}.
+     * @param fn The function computing the property's value.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    computed<K extends keyof KV>(key: K, fn: () => KV[K]): this;
+    /**
+     * Run the given function immediately and re-run it whenever one of the
+     * registered properties it has read in its most recent run is set.
+     * A write that sets several of them, like a deep reassignment or a
+     * {@link batch}, re-runs the function only once afterwards.
+     * Just like with {@link computed}, only the instance's first layer is
+     * tracked and the dependencies are recorded anew on every run.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     *
+     * const dispose = storage.effect(() => {
+     *   console.log("Name:", storage.target.user.name);
+     * });
+     * // "Name: foo"
+     *
+     * storage.target.user.name = 'bar';
+     * // "Name: bar"
+     *
+     * dispose();
+     * ```
+     *
+     * @param fn The function to run.
+     *
+     * @return A function that stops the effect.
+     */
+    effect(fn: () => void): () => void;
+    /**
+     * Create a plain, detached deep copy of the current state of {@link target}.
+     * See {@link ReactiveStorage.snapshot}.
+     */
+    snapshot(): KV;
+    /**
+     * Same as {@link snapshot}. Makes the instance serializable via
+     * `JSON.stringify`.
+     */
+    toJSON(): KV;
+    /**
+     * Number that is incremented with every change of the instance's first
+     * layer, including removals. Assigning the same primitive value again
+     * does not count as a change.
+     */
+    get version(): number;
+    /**
+     * Get a deeply frozen snapshot (see {@link snapshot}) of the current state
+     * of {@link target}, e.g. for `useSyncExternalStore` of React.
+     *
+     * The same snapshot is returned until the state changes (see
+     * {@link version}). A new snapshot only copies the branches along the
+     * changed paths and shares everything else with the previous one.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.registerFrom({ user: { name: 'foo' }, todos: [] });
+     *
+     * const prev = storage.getSnapshot();
+     * storage.target.user.name = 'bar';
+     * const next = storage.getSnapshot();
+     *
+     * console.log(prev === next) // false
+     * console.log(prev.todos === next.todos) // true
+     * ```
+     */
+    getSnapshot(): Readonly<KV>;
+    /**
+     * Add a listener that is called after every flush (see {@link onFlush})
+     * that changed the state, including removals. Together with
+     * {@link getSnapshot}, this is suitable for `useSyncExternalStore` of React.
+     *
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
+     */
+    subscribe(callback: () => void): () => void;
+    /**
+     * Lock the whole storage, including all deep targets: Any subsequent
+     * write, in-place mutation, registration or removal throws a
+     * {@link ReactiveStorageError} until {@link unfreeze} is called.
+     *
+     * Just like with {@link Options.readonly}, a plain `delete` on a target
+     * is not prevented, since the accessors stay configurable.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    freeze(): this;
+    /**
+     * Unlock the storage after it has been locked via {@link freeze}.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    unfreeze(): this;
+    /** Whether the storage is currently locked via {@link freeze}. */
+    isFrozen(): boolean;
+    /**
+     * Get a read-only view of {@link target}, e.g. to hand it to code that must
+     * not change any state.
+     *
+     * The view is an object with the same keys whose reads stay live: They
+     * read through the accessors of {@link target}, invoking all configured
+     * getters. Any deep target is returned as a read-only view in turn, while
+     * other values are returned as is. Writes and in-place mutations of views
+     * throw a {@link ReactiveStorageError}.
+     *
+     * Keys that are added or removed later are reflected as well.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     * const view = storage.readonlyView();
+     *
+     * storage.target.user.name = 'bar';
+     * console.log(view.user.name) // "bar"
+     *
+     * view.user.name = 'baz';
+     * // ReactiveStorageError: Cannot write to read-only view at "user.name"
+     * ```
+     */
+    readonlyView(): Readonly<Target<KV>>;
     /**
      * Register one or multiple reactive properties according to the current
      * instance's configuration ({@link config}) and the given initial value,
@@ -336,6 +1343,145 @@ export declare class ReactiveStorage<KV extends StorageRecord> implements Regist
      * @return The current {@link ReactiveStorage} instance for easy chaining.
      */
     registerFrom(object: Partial<KV>): this;
+    /**
+     * Insert a configuration layer into the definition chain (see
+     * {@link Configuration}) at the given index, like a temporary logging or
+     * validation layer.
+     *
+     * All registered properties are registered on the new layer, which adopts
+     * their current values from the following layer (or the
+     * {@link shallowEndpoint}) without calling its callbacks or writing them.
+     * The preceding layer is then linked to the new one.
+     *
+     * The first layer cannot be replaced since it holds {@link target} and is
+     * the only one that is observed by the instance.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage();
+     * storage.register('foo', 1);
+     *
+     * storage.addLayer({ setter: ({ val }) => { console.log("SET", val) } });
+     * storage.target.foo = 2;
+     * // "SET 2"
+     *
+     * storage.removeLayer(1);
+     * ```
+     *
+     * @param config The configuration of the new layer. Its `shallowEndpoint`
+     *               is replaced with the target of the following layer.
+     * @param index Index of the new layer within {@link config}, at least 1.
+     *
+     * @return The target of the new layer.
+     */
+    addLayer(config: Omit<Options<KV>, 'shallowEndpoint'>, index?: number): Partial<Target<KV>> & Target<KV>;
+    /**
+     * Remove the configuration layer at the given index from the definition
+     * chain (see {@link Configuration}), linking the preceding layer to the
+     * following one (or the {@link shallowEndpoint}).
+     *
+     * The values of all properties are kept. The properties of the removed
+     * layer are unregistered from its target.
+     *
+     * @param index Index of the layer within {@link config}, at least 1.
+     *
+     * @return The configuration of the removed layer.
+     */
+    removeLayer(index: number): OptionsWhole<KV>;
+    /**
+     * Set a property of a deep target through its reactive accessor.
+     *
+     * If the key does not exist on the deep target yet, it is registered using
+     * the options the deep target itself has been registered with, invoking
+     * the configured callbacks with the correct path.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   depth: Infinity,
+     *   setter: ({ val, path }) => { console.log(`SET ${path.join('.')}:`, val) }
+     * });
+     * storage.register('foo', { bar: 3 });
+     *
+     * ReactiveStorage.set(storage.target.foo, 'baz', 4);
+     * // "SET foo.baz: 4"
+     * ```
+     *
+     * @param target A deep target, i.e. an object value of a deeply registered property.
+     * @param key The property key to set.
+     * @param value The value to assign.
+     *
+     * @return Whether the given target is a deep target.
+     */
+    static set(target: object, key: ObjectKey, value: any): boolean;
+    /**
+     * Keep the values at two key paths in sync, each within a
+     * {@link ReactiveStorage} instance or a plain object.
+     *
+     * Whenever the value at or within a path of an instance changes, a detached
+     * copy of it (see {@link snapshot}) is written to the other path, optionally
+     * transformed. Writes to a storage go through {@link ReactiveStorage#set},
+     * so nothing is written while the parent of the path is not a deep target
+     * (whereas missing parents are created within a plain object).
+     * Since plain objects cannot be observed, they can only be written to.
+     *
+     * Values that are equal to the current one are not written. A change that
+     * only consists of the value last written by the binding is not propagated
+     * back, even if it is flushed later (see {@link Options.batch}).
+     * Together, this prevents update loops.
+     *
+     * @example
+     * ```js
+     * const state = new ReactiveStorage({ depth: Infinity });
+     * const draft = new ReactiveStorage({ depth: Infinity });
+     * state.register('user', { name: 'foo' });
+     * draft.register('form', {});
+     *
+     * const unbind = ReactiveStorage.bind(state, 'user', draft, 'form.user', {
+     *   backward: user => ({ ...user, name: user.name.trim() }),
+     * });
+     * draft.target.form.user.name = ' bar ';
+     * console.log(state.target.user.name) // "bar"
+     *
+     * unbind();
+     * ```
+     *
+     * @return A function that removes the binding.
+     */
+    static bind(a: ReactiveStorage<any> | object, pathA: PathPattern, b: ReactiveStorage<any> | object, pathB: PathPattern, options?: BindOptions): () => void;
+    /**
+     * Create a plain, detached deep copy of the given (deep) target.
+     *
+     * Every registered property is read through its accessor, so all configured
+     * getters are invoked. Arrays and object literals (including deep targets)
+     * are copied recursively, keeping symbol keys and non-enumerable registered
+     * properties. Maps and Sets are copied into new ones with copied values;
+     * any other value is copied by reference. Cyclic or shared
+     * references result in the same copy.
+     *
+     * @example
+     * ```js
+     * const { target } = ReactiveStorage.registerRecursive('foo', { bar: [ 1, 2 ] });
+     * const snapshot = ReactiveStorage.snapshot(target);
+     * // { foo: { bar: [ 1, 2 ] } }
+     * ```
+     *
+     * @param target Any object, usually a target or a deep target.
+     */
+    static snapshot<T extends object>(target: T): T;
+    /**
+     * Remove a property from a deep target and its respective deep endpoint.
+     *
+     * Removing a key that is required by the schema of the deep target is
+     * handled like writing the deep target without it, see {@link Options.onInvalid}.
+     *
+     * @param target A deep target, i.e. an object value of a deeply registered property.
+     * @param key The property key to remove.
+     *
+     * @return Whether the given target is a deep target and the key existed on it
+     *         and has been removed.
+     */
+    static remove(target: object, key: ObjectKey): boolean;
     /**
      * Register a reactive property on or multiple targets. If left unspecified,
      * target and/or shallow endpoint will be a new object that can be obtained
@@ -357,7 +1503,7 @@ export declare class ReactiveStorage<KV extends StorageRecord> implements Regist
      *
      * @param object The object the keys and symbols of will be registered.
      */
-    static registerFrom<KV extends StorageRecord>(object: KV, config: Configuration<KV>): RegistrationData<KV>;
+    static registerFrom<KV extends StorageRecord>(object: KV, config?: Configuration<KV>): RegistrationData<KV>;
     /**
      * Same as {@link register} but register properties infinitely deep.
      * Values (both the initial value and values assigned at a later point in
@@ -380,5 +1526,69 @@ export declare class ReactiveStorage<KV extends StorageRecord> implements Regist
      *
      * @param object The object the keys and symbols of will be registered.
      */
-    static registerRecursiveFrom<KV extends StorageRecord>(object: KV, config: Configuration<KV>): RegistrationData<KV>;
+    static registerRecursiveFrom<KV extends StorageRecord>(object: KV, config?: Configuration<KV>): RegistrationData<KV>;
+}
+/**
+ * Undo/redo history of a {@link ReactiveStorage} instance, usually created
+ * via {@link Options.history} and exposed via {@link ReactiveStorage#history}.
+ *
+ * Every flush of the instance (see {@link ReactiveStorage#onFlush}) makes up
+ * one entry. This means that a deep reassignment or a batch can be undone as
+ * a whole. Keys that are added to or removed from deep targets and removed
+ * top-level properties are recorded as well, while initial assignments of
+ * registered top-level properties are not.
+ *
+ * Undoing or redoing an entry assigns the respective previous or next values
+ * through the instance's accessors within a single batch, so deep
+ * registration and all callbacks stay consistent.
+ *
+ * @example
+ * ```js
+ * const storage = new ReactiveStorage({ depth: Infinity, history: true });
+ * storage.register('foo', { bar: 1 });
+ *
+ * storage.target.foo.bar = 2;
+ * storage.history.checkpoint('two');
+ * storage.target.foo = { bar: 3 };
+ *
+ * storage.history.undo();
+ * console.log(storage.target.foo.bar) // 2
+ * storage.history.undo();
+ * console.log(storage.target.foo.bar) // 1
+ * storage.history.restore('two');
+ * console.log(storage.target.foo.bar) // 2
+ * ```
+ */
+export declare class StorageHistory {
+    #private;
+    readonly storage: ReactiveStorage<any>;
+    readonly maxSize: number;
+    /** Whether there is an entry that can be undone. */
+    get canUndo(): boolean;
+    /** Whether there is an entry that can be redone. */
+    get canRedo(): boolean;
+    constructor(storage: ReactiveStorage<any>, options?: HistoryOptions);
+    /**
+     * Undo the last applied entry.
+     * @return Whether there was an entry to undo.
+     */
+    undo(): boolean;
+    /**
+     * Redo the last undone entry.
+     * @return Whether there was an entry to redo.
+     */
+    redo(): boolean;
+    /**
+     * Save the current position in the history under the given name,
+     * overriding any previous checkpoint of the same name.
+     */
+    checkpoint(name: string): void;
+    /**
+     * Undo or redo entries until the checkpoint of the given name is reached.
+     * @return Whether the checkpoint exists and could be reached, i.e. whether
+     *         its entries have not been discarded in the meantime.
+     */
+    restore(name: string): boolean;
+    /** Discard all entries and checkpoints. */
+    clear(): void;
 }
@@ -1,3 +1,333 @@
+// Host functions that every relevant environment provides but that are not part of `esnext`
+const host = globalThis;
+const ARRAY_MUTATORS = [
+    'push', 'pop', 'shift', 'unshift', 'splice', 'sort', 'reverse', 'fill', 'copyWithin'
+];
+function getSchemaType(val) {
+    if (val === null)
+        return 'null';
+    if (val instanceof Map || val instanceof Set)
+        return 'object';
+    if (Array.isArray(val))
+        return 'array';
+    return typeof val;
+}
+function matchesSchemaType(type, val) {
+    if (type === 'integer')
+        return Number.isInteger(val);
+    return getSchemaType(val) === type;
+}
+/**
+ * Get the schema of the given key of an object described by `schema`.
+ * @param items Whether {@link Schema.items} applies to array indices
+ *              or to any key (the entries of a Map or Set).
+ */
+function getPropertySchema(schema, key, items) {
+    if (!schema)
+        return undefined;
+    if (schema.properties && (typeof key !== 'object' || key === null)
+        && Object.prototype.hasOwnProperty.call(schema.properties, key)) {
+        return schema.properties[key];
+    }
+    if (schema.items && (items === 'any' || (items === 'index' && /^(0|[1-9]\d*)$/.test(String(key))))) {
+        return schema.items;
+    }
+}
+/** Get the keys and values of the given object, including Map and Set entries. */
+function getEntries(val) {
+    if (val instanceof Map)
+        return Array.from(val);
+    if (val instanceof Set)
+        return Array.from(val, item => [item, item]);
+    return Reflect.ownKeys(val).map(key => [key, val[key]]);
+}
+/**
+ * Validate the given value and all of its nested values against a schema.
+ * @return The path and reason of the first violation, if any.
+ */
+function validateSchema(schema, val, path = []) {
+    if (schema.type != null) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesSchemaType(type, val))) {
+            return { path, reason: `Expected type ${types.join(' | ')}, got ${getSchemaType(val)}` };
+        }
+    }
+    if (schema.enum && !schema.enum.some(item => Object.is(item, val))) {
+        return { path, reason: `Expected one of ${schema.enum.map(item => String(item)).join(', ')}` };
+    }
+    if (typeof val === 'number') {
+        if (schema.min != null && !(val >= schema.min)) {
+            return { path, reason: `Expected a number >= ${schema.min}` };
+        }
+        if (schema.max != null && !(val <= schema.max)) {
+            return { path, reason: `Expected a number <= ${schema.max}` };
+        }
+    }
+    if (val != null && typeof val === 'object') {
+        const isCollection = val instanceof Map || val instanceof Set;
+        for (const key of schema.required ?? []) {
+            if (isCollection ? !val.has(key) : !(key in val)) {
+                return { path, reason: `Missing required key "${String(key)}"` };
+            }
+        }
+        const items = isCollection ? 'any' : Array.isArray(val) && 'index';
+        for (const [key, item] of getEntries(val)) {
+            const propSchema = getPropertySchema(schema, key, items);
+            if (propSchema) {
+                const error = validateSchema(propSchema, item, [...path, key]);
+                if (error)
+                    return error;
+            }
+        }
+    }
+}
+/**
+ * Try to coerce the given value into one that matches the given schema.
+ * The result needs to be validated again.
+ */
+function coerceSchema(schema, val) {
+    if (schema.type != null) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesSchemaType(type, val))) {
+            for (const type of types) {
+                if ((type === 'number' || type === 'integer') && (typeof val === 'string' || typeof val === 'boolean')) {
+                    const num = val === '' ? NaN : Number(val);
+                    if (!Number.isNaN(num)) {
+                        val = type === 'integer' ? Math.round(num) : num;
+                        break;
+                    }
+                }
+                else if (type === 'integer' && typeof val === 'number' && Number.isFinite(val)) {
+                    val = Math.round(val);
+                    break;
+                }
+                else if (type === 'string' && (typeof val === 'number' || typeof val === 'boolean')) {
+                    val = String(val);
+                    break;
+                }
+                else if (type === 'boolean' && (val === 'true' || val === 'false')) {
+                    val = val === 'true';
+                    break;
+                }
+            }
+        }
+    }
+    if (typeof val === 'number') {
+        if (schema.min != null && val < schema.min)
+            val = schema.min;
+        if (schema.max != null && val > schema.max)
+            val = schema.max;
+    }
+    if (Filter.objectLiteralOrArray(val)) {
+        const copy = Array.isArray(val) ? [] : {};
+        for (const key of Reflect.ownKeys(val)) {
+            const propSchema = getPropertySchema(schema, key, Array.isArray(val) && 'index');
+            copy[key] = propSchema ? coerceSchema(propSchema, val[key]) : val[key];
+        }
+        val = copy;
+    }
+    return val;
+}
+/**
+ * Filter the given items by their respective event path such that only
+ * changes that are not nested within another change are kept.
+ */
+function filterOutermost(events, items) {
+    const root = { changed: false, children: new Map() };
+    for (const { path } of events) {
+        let node = root;
+        for (const key of path) {
+            if (!node.children.has(key)) {
+                node.children.set(key, { changed: false, children: new Map() });
+            }
+            node = node.children.get(key);
+        }
+        node.changed = true;
+    }
+    return items.filter((_, i) => {
+        const { path } = events[i];
+        let node = root;
+        for (let i = 0; i < path.length - 1; i++) {
+            node = node.children.get(path[i]);
+            if (node.changed)
+                return false;
+        }
+        return true;
+    });
+}
+/**
+ * Check whether the given key path pattern and key path match for as many
+ * keys as the shorter of both has, i.e. whether one is within the other.
+ */
+function matchesPath(pattern, path) {
+    const length = Math.min(pattern.length, path.length);
+    for (let i = 0; i < length; i++) {
+        if (pattern[i] !== '*' && pattern[i] !== (typeof path[i] === 'number' ? String(path[i]) : path[i])) {
+            return false;
+        }
+    }
+    return true;
+}
+/**
+ * Get the own string and symbol keys of an object that are either enumerable
+ * or registered (i.e. accessors), just like {@link ReactiveStorage.snapshot}.
+ */
+function getOwnKeys(obj) {
+    return Reflect.ownKeys(obj).filter(key => {
+        const desc = Object.getOwnPropertyDescriptor(obj, key);
+        return desc.enumerable || !!desc.get;
+    });
+}
+/**
+ * Freeze the given value and all copies nested within it, i.e. arrays, object
+ * literals, objects without a prototype, Maps and Sets (the latter two can
+ * still be mutated). Other objects are kept as is since they are shared with
+ * the original data.
+ */
+function deepFreeze(val, frozen = new Set()) {
+    if (val == null || typeof val !== 'object' || frozen.has(val))
+        return val;
+    if (val instanceof Map || val instanceof Set) {
+        frozen.add(val);
+        for (const item of val.values())
+            deepFreeze(item, frozen);
+    }
+    else if (Filter.objectLiteralOrArray(val) || Object.getPrototypeOf(val) === null) {
+        frozen.add(val);
+        for (const key of Reflect.ownKeys(val))
+            deepFreeze(val[key], frozen);
+    }
+    else {
+        return val;
+    }
+    return Object.freeze(val);
+}
+/**
+ * Check whether both values are identical or arrays/object literals
+ * with the same keys and identical values.
+ */
+function shallowEquals(a, b) {
+    if (Object.is(a, b))
+        return true;
+    if (!Filter.objectLiteralOrArray(a) || !Filter.objectLiteralOrArray(b) || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = getOwnKeys(a);
+    return keys.length === getOwnKeys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key]));
+}
+/**
+ * Check whether both values are structurally equal, comparing arrays,
+ * object literals, Maps and Sets recursively.
+ */
+function deepEquals(a, b, seen = new Map()) {
+    if (Object.is(a, b))
+        return true;
+    if (a == null || b == null || typeof a !== 'object' || typeof b !== 'object')
+        return false;
+    // Assume equality for cycles that are already being compared
+    if (seen.get(a) === b)
+        return true;
+    seen.set(a, b);
+    if (a instanceof Map || a instanceof Set) {
+        if (a.constructor !== b.constructor || a.size !== b.size)
+            return false;
+        if (a instanceof Set) {
+            const items = Array.from(b);
+            return Array.from(a).every(item => b.has(item) || items.some(other => deepEquals(item, other, seen)));
+        }
+        for (const [key, val] of a) {
+            if (!b.has(key) || !deepEquals(val, b.get(key), seen))
+                return false;
+        }
+        return true;
+    }
+    if (!Filter.objectLiteralOrArray(a) || !Filter.objectLiteralOrArray(b) || Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    const keys = getOwnKeys(a);
+    return keys.length === getOwnKeys(b).length
+        && keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEquals(a[key], b[key], seen));
+}
+/** Compiled {@link Options.paths} configurations. */
+const compiledPaths = new WeakMap();
+/**
+ * Get the compiled patterns of an {@link Options.paths} object,
+ * compiling them on first use.
+ */
+function compilePaths(paths) {
+    let compiled = compiledPaths.get(paths);
+    if (!compiled) {
+        compiled = Object.entries(paths).map(([pattern, opts]) => ({ keys: pattern.split('.'), opts }));
+        compiledPaths.set(paths, compiled);
+    }
+    return compiled;
+}
+/**
+ * Check whether the given glob-style pattern (see {@link Options.paths})
+ * matches the first `length` keys of the given key path.
+ */
+function matchesGlob(pattern, path, length = path.length, i = 0, j = 0) {
+    for (; i < pattern.length; i++, j++) {
+        if (pattern[i] === '**') {
+            for (let k = j; k <= length; k++) {
+                if (matchesGlob(pattern, path, length, i + 1, k))
+                    return true;
+            }
+            return false;
+        }
+        if (j >= length)
+            return false;
+        const key = typeof path[j] === 'number' ? String(path[j]) : path[j];
+        if (pattern[i] === '#') {
+            if (typeof key !== 'string' || !/^(0|[1-9]\d*)$/.test(key))
+                return false;
+        }
+        else if (pattern[i] !== '*' && pattern[i] !== key) {
+            return false;
+        }
+    }
+    return j === length;
+}
+/**
+ * Resolve the options of all {@link Options.paths} patterns matching the
+ * given key path, merged in order. A depth limit of a pattern matching a
+ * parent path is reduced by the distance to it.
+ */
+function resolvePathOptions(paths, path) {
+    if (!paths)
+        return undefined;
+    let resolved;
+    for (const { keys, opts } of compilePaths(paths)) {
+        if (matchesGlob(keys, path)) {
+            resolved = Object.assign(resolved || {}, opts);
+        }
+        if (opts.depth != null) {
+            for (let length = path.length - 1; length > 0; length--) {
+                if (matchesGlob(keys, path, length)) {
+                    const depth = Math.max(0, opts.depth - (path.length - length));
+                    if (resolved?.depth == null || depth < resolved.depth) {
+                        resolved = Object.assign(resolved || {}, { depth });
+                    }
+                    break;
+                }
+            }
+        }
+    }
+    return resolved;
+}
+/** Convert a key path into a JSON Pointer (RFC 6901). */
+function toPointer(path) {
+    return path.map(key => '/' + String(key).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+}
+/** Convert a JSON Pointer (RFC 6901) into a key path, if valid. */
+function fromPointer(pointer) {
+    if (pointer === '')
+        return [];
+    if (pointer[0] !== '/')
+        return undefined;
+    return pointer.slice(1).split('/').map(key => key.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
 /**
  * Provides some useful filter functions for use in
  * {@link Options.depthFilter}.
@@ -12,6 +342,70 @@ export const Filter = {
     /** Matches everything (always returns true). */
     any: () => true,
 };
+/**
+ * Provides adapters for use in {@link ReactiveStorage#persist}
+ * that store the data as JSON.
+ *
+ * Also exposed via {@link ReactiveStorage.Adapter}.
+ */
+export const Adapter = {
+    /**
+     * Persist into an object implementing the Web Storage API, like
+     * `localStorage` or `sessionStorage`, under the given key.
+     */
+    webStorage(storage, key) {
+        return {
+            load: () => {
+                const item = storage.getItem(key);
+                return item == null ? undefined : JSON.parse(item);
+            },
+            save: data => {
+                storage.setItem(key, JSON.stringify(data));
+            },
+        };
+    },
+    /**
+     * Persist into the file at the given path (Node.js and compatible).
+     * The `fs` module is obtained automatically in Node.js >= 20.16 and >= 22.3
+     * (`process.getBuiltinModule`), otherwise it must be passed explicitly.
+     */
+    file(path, fs = getNodeFs()) {
+        return {
+            load: () => {
+                return fs.existsSync(path) ? JSON.parse(fs.readFileSync(path, 'utf8')) : undefined;
+            },
+            save: data => {
+                fs.writeFileSync(path, JSON.stringify(data));
+            },
+        };
+    },
+};
+function getNodeFs() {
+    const fs = globalThis.process?.getBuiltinModule?.('node:fs');
+    if (!fs) {
+        throw new ReactiveStorageError('UNSUPPORTED_ENVIRONMENT', "The `fs` module cannot be obtained automatically in this environment (requires `process.getBuiltinModule`), please pass it explicitly.");
+    }
+    return fs;
+}
+/**
+ * Error thrown by ReactiveStorage. Its {@link code} can be used to
+ * distinguish the different kinds of errors.
+ */
+export class ReactiveStorageError extends Error {
+    name = 'ReactiveStorageError';
+    /** Kind of the error. */
+    code;
+    /**
+     * Configuration layer the error originates from, like `config[1].depth`,
+     * if applicable.
+     */
+    layer;
+    constructor(code, message, layer) {
+        super(layer != null ? `${layer}: ${message}` : message);
+        this.code = code;
+        this.layer = layer;
+    }
+}
 /**
  * Reactivity helper to register, observe and intercept deeply reactive data
  * without proxies.
@@ -26,16 +420,129 @@ export const Filter = {
 export class ReactiveStorage {
     /** @see {@link Filter} */
     static Filter = Filter;
+    /** @see {@link Adapter} */
+    static Adapter = Adapter;
+    /**
+     * Greater than 0 while registering the nested values of a value that has
+     * already been validated as a whole.
+     */
+    static #validated = 0;
+    /** Source objects whose values are currently being registered deeply. */
+    static #ancestors = new Set();
+    /**
+     * Source object → deep target of all deep values created within the
+     * currently registered outermost deep assignment.
+     */
+    static #sources;
+    /**
+     * Greater than 0 while lazily registering the keys of a deep target,
+     * see {@link Options.lazy}.
+     */
+    static #materializing = 0;
+    /** Greater than 0 while comparing values, see {@link ReactiveStorage.#peek}. */
+    static #peeking = 0;
+    /**
+     * Whether the next assignment should replace a deep target instead of
+     * reconciling it, see {@link ReactiveStorage.#reconcile}.
+     */
+    static #replace = false;
+    /**
+     * Snapshot of the previous value of the property that is reconciled next,
+     * taken once by the outermost reconciliation.
+     */
+    static #prevSnapshot;
+    /**
+     * Whether the currently registered values are adopted from an existing
+     * layer without calling any callbacks, see {@link ReactiveStorage#addLayer}.
+     */
+    static #adopting = false;
+    /**
+     * Deep targets that are moved to other indices of the array target
+     * `holder` by an array mutation → their endpoint value and whether they
+     * are owned, see {@link ReactiveStorage.#writeArrayItems}.
+     */
+    static #moving;
+    /** Number of deep targets moved so far, invalidating all deep key paths built before. */
+    static #moves = 0;
+    /** Lazy deep targets whose keys have not been registered yet → registration. */
+    static #pending = new WeakMap();
+    /**
+     * Number of lazy deep targets that have been pending at some point and
+     * may still be, so reads can skip looking them up if there are none.
+     */
+    static #pendingCount = 0;
+    /** Internal targets holding the registered entries of deep Maps and Sets. */
+    static #collectionHolders = new WeakSet();
+    /** Registration data of all created deep targets. */
+    static #deepTargets = new WeakMap();
+    /** Target → states of its registered properties by key. */
+    static #states = new WeakMap();
     shallowEndpoint;
     target;
     targets;
     config;
+    /**
+     * Undo/redo history of the instance.
+     * Only present if enabled via {@link Options.history}.
+     */
+    history;
+    /** Root of the path-indexed tree of listeners added via {@link watch}. */
+    #watchers = { listeners: new Set(), children: new Map() };
+    /** Listeners of all paths, added via {@link changes}. */
+    #changeListeners = new Set();
+    /** Listeners added via {@link onFlush}. */
+    #flushListeners = new Set();
+    /** Listeners added via {@link onPatch}. */
+    #patchListeners = new Set();
+    /** Nesting depth of active batches (explicit or microtask). */
+    #batchDepth = 0;
+    /** Nesting depth of active accessor writes. */
+    #writeDepth = 0;
+    /** Changes recorded since the last flush in order of their first write. */
+    #changes = [];
+    #changeIndex = { children: new Map() };
+    /** Errors thrown by listeners during the current flush, rethrown afterwards. */
+    #flushErrors;
+    /** Re-runs of {@link computed} properties and {@link effect}s due after the current flush. */
+    #stale = new Set();
+    #runningStale = false;
+    /** Receives the paths of all properties read while tracking dependencies. */
+    #tracker;
+    /** Disposers of the properties defined via {@link computed}. */
+    #computed = new Map();
+    /** Loaded data and path patterns of all active persistences. */
+    #persisted = [];
+    /** Whether the instance has been frozen via {@link freeze}. */
+    #frozen = false;
+    /** Number of changes committed so far, see {@link version}. */
+    #version = 0;
+    /**
+     * Snapshot last returned by {@link getSnapshot}, the {@link version} it
+     * reflects and the paths changed since (`undefined` if too many to track).
+     */
+    #snapshotCache;
+    /** Listeners added via {@link subscribe}. */
+    #subscribers = new Set();
+    /** The {@link version} that {@link #subscribers} have last been notified of. */
+    #notifiedVersion = 0;
+    /** Target or deep target → its view created via {@link readonlyView}. */
+    #views = new WeakMap();
+    /** Deep targets with a view whose keys have changed during the current write. */
+    #staleViews = new Set();
     constructor(config = {}) {
-        this.config = ReactiveStorage.#prepareConfig(config);
+        this.config = ReactiveStorage.#prepareConfig(config, true);
+        ReactiveStorage.#validateInstanceConfig(this.config[0], Array.isArray(config) ? 'config[0]' : 'config');
         const data = ReactiveStorage.#getDataFromConfigs(this.config);
         this.shallowEndpoint = data.shallowEndpoint;
         this.target = data.target;
         this.targets = data.targets;
+        const history = this.config[0].history;
+        if (history) {
+            this.history = new StorageHistory(this, typeof history === 'object' ? history : {});
+        }
+        if (this.config[0].persist) {
+            this.persist(this.config[0].persist);
+        }
     }
     /** Check for existence of a registered property on {@link target}. */
     has(key) {
@@ -44,224 +551,2793 @@ export class ReactiveStorage {
     /** Delete {@link target} and {@link shallowEndpoint} entry of a registered property. */
     delete(key) {
         if (this.has(key)) {
+            this.#assertNotFrozen();
+            const state = ReactiveStorage.#states.get(this.target)?.get(typeof key === 'number' ? String(key) : key);
+            if (state && !ReactiveStorage.#isWritable(state.layer.readonly, this, () => [key]))
+                return false;
+            this.#computed.get(key)?.();
+            this.#computed.delete(key);
+            const prevVals = ReactiveStorage.#peek(() => this.targets.map(target => target[key]));
             delete this.shallowEndpoint[key];
-            for (const target of this.targets) {
-                delete target[key];
-            }
+            const states = this.targets.map(target => ReactiveStorage.#unregister(target, key));
+            // Notify like a write, i.e. starting with the last layer
+            this.#write(() => {
+                for (let i = states.length - 1; i >= 0; i--) {
+                    if (states[i])
+                        ReactiveStorage.#notifyRemoval(states[i], prevVals[i]);
+                }
+            });
+            this.#syncView();
             return true;
         }
         return false;
     }
     /**
-     * Register one or multiple reactive properties according to the current
-     * instance's configuration ({@link config}) and the given initial value,
-     * if any.
+     * Set a value at the given key path through the reactive accessors.
      *
-     * @param key The property name to register on {@link target}.
-     * @param initialValue The initial value that will be assigned after registering.
+     * If the addressed property does not exist yet, it is registered first,
+     * either with the instance's configuration ({@link config}) if the path
+     * consists only of a single key or with the options its parent deep target
+     * has been registered with. See {@link ReactiveStorage.set}.
      *
-     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     * @param path The key path of the property, starting with the registered key.
+     * @param value The value to assign.
+     *
+     * @return Whether the value could be set, i.e. whether the parent of the
+     *         addressed property is a deep target.
      */
-    register(key, initialValue) {
-        ReactiveStorage.#registerGeneric(key, initialValue, this.config);
-        return this;
+    set(path, value) {
+        const keys = Array.isArray(path) ? path : [path];
+        if (keys.length === 1) {
+            if (this.has(keys[0])) {
+                this.target[keys[0]] = value;
+            }
+            else {
+                this.register(keys[0], value);
+            }
+            return true;
+        }
+        const parent = this.#getParent(keys);
+        return parent != null && ReactiveStorage.set(parent, keys[keys.length - 1], value);
     }
     /**
-     * Register all property keys and symbols of the given object with their
-     * respective values according to the current instance's configuration
-     * ({@link config}).
+     * Remove the property at the given key path from its deep target and the
+     * respective deep endpoint. A path consisting only of a single key is
+     * the same as {@link delete}. See {@link ReactiveStorage.remove}.
      *
-     * @param object The object the keys and symbols of will be registered.
+     * @param path The key path of the property, starting with the registered key.
      *
-     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     * @return Whether the property existed and was removed.
      */
-    registerFrom(object) {
-        for (const key of Object.keys(object)) {
-            ReactiveStorage.#registerGeneric(key, object[key], this.config);
-        }
-        for (const symbol of Object.getOwnPropertySymbols(object)) {
-            ReactiveStorage.#registerGeneric(symbol, object[symbol], this.config);
+    remove(path) {
+        const keys = Array.isArray(path) ? path : [path];
+        if (keys.length === 1) {
+            return this.delete(keys[0]);
         }
-        return this;
+        const parent = this.#getParent(keys);
+        return parent != null && ReactiveStorage.remove(parent, keys[keys.length - 1]);
     }
-    // ---- Static methods ----
     /**
-     * Register a reactive property on or multiple targets. If left unspecified,
-     * target and/or shallow endpoint will be a new object that can be obtained
-     * using the returned data.
+     * Add a listener that is called after a property matching the given key path
+     * pattern has been set, with the same event as {@link Options.postSetter}.
      *
-     * @param key The property name to register.
-     * @param initialValue The initial value that will be assigned after registering.
+     * The pattern must match the full path of a property. A `*` matches any
+     * single key. Only the first layer of the definition chain
+     * ({@link target}) is observed.
      *
-     * @remarks
-     * There is currently no way to make the generics sound (bind value only to
-     * the given keys of a given interface, instead of all values within KV)
-     * since they cannot be optional without a default value.
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('users', [ { id: 1 } ]);
+     *
+     * const unwatch = storage.watch('users.*.id', ({ val, path }) => {
+     *   console.log(`${path.join('.')}:`, val);
+     * });
+     * storage.target.users[0].id = 2;
+     * // "users.0.id: 2"
+     *
+     * unwatch();
+     * ```
+     *
+     * @param pattern The key path pattern to observe, see {@link PathPattern}.
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
      */
-    static register(key, initialValue, config = {}) {
-        const opts = this.#prepareConfig(config);
-        this.#registerGeneric(key, initialValue, opts);
-        return this.#getDataFromConfigs(opts);
+    watch(pattern, callback) {
+        const keys = ReactiveStorage.#parsePattern(pattern);
+        let node = this.#watchers;
+        for (const key of keys) {
+            let child = node.children.get(key);
+            if (!child) {
+                child = { listeners: new Set(), children: new Map() };
+                node.children.set(key, child);
+            }
+            node = child;
+        }
+        node.listeners.add(callback);
+        return () => {
+            node.listeners.delete(callback);
+            this.#pruneWatchers(this.#watchers, keys, 0);
+        };
+    }
+    /** Remove all empty nodes along the given key path. */
+    #pruneWatchers(node, keys, i) {
+        if (i === keys.length)
+            return;
+        const child = node.children.get(keys[i]);
+        if (!child)
+            return;
+        this.#pruneWatchers(child, keys, i + 1);
+        if (child.listeners.size === 0 && child.children.size === 0) {
+            node.children.delete(keys[i]);
+        }
+    }
+    /** Notify all listeners whose pattern matches the path of the given event. */
+    #dispatch(event) {
+        // Copy to skip listeners that are (re-)added during the dispatch
+        const hasWatchers = this.#watchers.children.size > 0;
+        if (hasWatchers || this.#changeListeners.size > 0) {
+            const listeners = [];
+            if (hasWatchers) {
+                ReactiveStorage.#collectListeners(this.#watchers, event.path, 0, listeners);
+            }
+            for (const listener of this.#changeListeners)
+                listeners.push(listener);
+            for (const listener of listeners) {
+                this.#call(listener, event);
+            }
+        }
+        const { eventTarget } = this.config[0];
+        if (eventTarget) {
+            const { path, val, prevVal, initial } = event;
+            const CustomEvent = globalThis.CustomEvent;
+            this.#call(detail => {
+                eventTarget.dispatchEvent(new CustomEvent('change', { detail }));
+            }, { path, val, prevVal, initial });
+        }
     }
     /**
-     * Register all property keys and symbols of the given object with their
-     * respective values. If left unspecified, target and/or shallow endpoint
-     * will be a new object that can be obtained using the returned data.
-     *
-     * @param object The object the keys and symbols of will be registered.
+     * Call the given listener. While flushing, its error is collected
+     * instead so that the remaining listeners are still called.
      */
-    static registerFrom(object, config) {
-        const opts = this.#prepareConfig(config);
-        for (const key of Object.keys(object)) {
-            this.#registerGeneric(key, object[key], opts);
+    #call(listener, arg) {
+        if (!this.#flushErrors) {
+            listener(arg);
+            return;
         }
-        for (const symbol of Object.getOwnPropertySymbols(object)) {
-            this.#registerGeneric(symbol, object[symbol], opts);
+        try {
+            listener(arg);
+        }
+        catch (err) {
+            this.#flushErrors.push(err);
         }
-        return this.#getDataFromConfigs(opts);
     }
     /**
-     * Same as {@link register} but register properties infinitely deep.
-     * Values (both the initial value and values assigned at a later point in
-     * time) will be recursively traversed and registered, limited by
-     * {@link Options.deepFilter}.
+     * Iterate asynchronously over all changes of properties matching the given
+     * key path pattern (see {@link watch}) or of all properties if omitted.
+     * The changes are picked up at the same time as {@link Options.postSetter}.
      *
-     * Shorthand for {@link register} with the the deepest configured
-     * {@link Options.depth} set to `Infinity`.
+     * Changes that arrive while the consumer is busy are buffered, see
+     * {@link ChangesOptions}. Listening stops once the iteration is ended
+     * by the consumer, e.g. via `break`.
      *
-     * @param key The property name to register.
-     * @param initialValue The initial value that will be assigned after registering.
-     */
-    static registerRecursive(key, initialValue, config = {}) {
-        const opts = this.#prepareConfig(config);
-        this.#registerGeneric(key, initialValue, opts, true);
-        return this.#getDataFromConfigs(opts);
-    }
-    /**
-     * Same as {@link registerFrom} but register all properties within the given
-     * object infinitely deep.
-     * Values (both the initial values and values assigned at a later point in
-     * time) will be recursively traversed and registered, limited by
-     * {@link Options.deepFilter}.
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
      *
-     * @param object The object the keys and symbols of will be registered.
+     * for await (const { path, val } of storage.changes('user.name')) {
+     *   console.log(path, val);
+     *   if (val === 'baz') break;
+     * }
+     * ```
+     *
+     * @param pattern The key path pattern to observe, see {@link PathPattern}.
+     * @param options See {@link ChangesOptions}.
      */
-    static registerRecursiveFrom(object, config) {
-        const opts = this.#prepareConfig(config);
-        for (const key of Object.keys(object)) {
-            ReactiveStorage.#registerGeneric(key, object[key], opts, true);
+    changes(pattern, options = {}) {
+        const { bufferSize = 100, overflow = 'drop-oldest' } = options;
+        if (!(bufferSize >= 0)) {
+            throw new ReactiveStorageError('INVALID_OPTION', "`bufferSize` needs to be a non-negative number.");
         }
-        for (const symbol of Object.getOwnPropertySymbols(object)) {
-            ReactiveStorage.#registerGeneric(symbol, object[symbol], opts, true);
+        if (overflow !== 'drop-oldest' && overflow !== 'drop-newest' && overflow !== 'throw') {
+            throw new ReactiveStorageError('INVALID_OPTION', "`overflow` needs to be 'drop-oldest', 'drop-newest' or 'throw'.");
         }
-        return this.#getDataFromConfigs(opts);
-    }
-    // ---- Static helpers ----
-    static #registerGeneric(key, initialValue, config, recursive = false) {
-        for (const opts of config) {
-            if (Array.isArray(key)) {
-                for (const singleKey of key) {
-                    this.#register(singleKey, initialValue, opts, recursive);
-                }
+        const buffer = [];
+        let pending;
+        let error;
+        let done = false;
+        const listener = ({ path, val, prevVal, initial }) => {
+            const change = { path, val, prevVal, initial };
+            if (pending) {
+                const resolve = pending;
+                pending = undefined;
+                resolve({ value: change, done: false });
             }
-            else {
-                this.#register(key, initialValue, opts, recursive);
-            }
-        }
-    }
-    static #register(key, initialValue, config, recursive, path = [key]) {
-        const target = config.target || {};
-        const endpoint = config.shallowEndpoint || {};
-        // These simply discard any potential 'inherit' values
-        const depthFilter = (config.depthFilter !== 'inherit' && config.depthFilter) || Filter.objectLiteralOrArray;
-        const customGetter = (config.getter !== 'inherit' && config.getter) || undefined;
-        const customSetter = (config.setter !== 'inherit' && config.setter) || undefined;
-        const customPostSetter = (config.postSetter !== 'inherit' && config.postSetter) || undefined;
-        const enumerable = config.enumerable != null ? config.enumerable : true;
-        let getter = () => endpoint[key];
-        let setter = (val) => endpoint[key] = val;
-        let initial = true;
-        let depthOpts;
-        if (config.depth || recursive) {
-            if (typeof config.depth !== 'object') {
-                depthOpts = {};
-                if (recursive) {
-                    depthOpts.depth = Infinity;
-                }
-                else if (typeof config.depth === 'number') {
-                    depthOpts.depth = config.depth - 1;
+            else if (buffer.length < bufferSize) {
+                buffer.push(change);
+            }
+            else if (overflow === 'drop-oldest') {
+                if (bufferSize > 0) {
+                    buffer.shift();
+                    buffer.push(change);
                 }
-                // Inherit properties when `config.depth` is set to a number
-                depthOpts.setter ??= config.setter;
-                depthOpts.getter ??= config.getter;
-                depthOpts.postSetter ??= config.postSetter;
-                depthOpts.depthFilter ??= config.depthFilter;
             }
-            else {
-                depthOpts = Object.assign({}, config.depth);
-                if (depthOpts.target)
-                    delete depthOpts.target;
-                if (depthOpts.shallowEndpoint)
-                    delete depthOpts.shallowEndpoint;
-                if (depthOpts.setter === 'inherit')
-                    depthOpts.setter = config.setter;
-                if (depthOpts.getter === 'inherit')
-                    depthOpts.getter = config.getter;
-                if (depthOpts.postSetter === 'inherit')
-                    depthOpts.postSetter = config.postSetter;
-                if (depthOpts.depthFilter === 'inherit')
-                    depthOpts.depthFilter = config.depthFilter;
-            }
-            // Always inherit `enumerable` unless configured explicitly
-            depthOpts.enumerable ??= config.enumerable;
-        }
-        Object.defineProperty(target, key, {
-            configurable: true,
-            enumerable: enumerable,
-            get: () => {
-                // Request the value via the getter only exactly once!
-                const val = getter();
-                return customGetter?.({ val, path }) ?? val;
-            },
-            set: (val) => {
-                const prevVal = getter();
-                if (!customSetter?.({ val, prevVal, initial, path, set: setter })) {
-                    setter(val);
+            else if (overflow === 'throw') {
+                stop();
+                error = new ReactiveStorageError('BUFFER_OVERFLOW', `More than ${bufferSize} changes have been buffered.`);
+            }
+        };
+        let stop;
+        if (pattern != null) {
+            stop = this.watch(pattern, listener);
+        }
+        else {
+            this.#changeListeners.add(listener);
+            stop = () => {
+                this.#changeListeners.delete(listener);
+            };
+        }
+        const end = () => {
+            done = true;
+            stop();
+            buffer.length = 0;
+            pending?.({ value: undefined, done: true });
+            pending = undefined;
+            return Promise.resolve({ value: undefined, done: true });
+        };
+        return {
+            next() {
+                if (buffer.length > 0) {
+                    return Promise.resolve({ value: buffer.shift(), done: false });
                 }
-                if (!!depthOpts && typeof val === 'object' && depthFilter(val, path)) {
-                    // We don't need to save the deep target anywhere
-                    // because it is exposed via the updated getter below
-                    // @ts-ignore
-                    depthOpts.target = Array.isArray(val) ? [] : {};
-                    depthOpts.shallowEndpoint = {};
-                    for (const propKey of Object.keys(val)) {
-                        this.#register(propKey, val[propKey], depthOpts, recursive, [...path, propKey]);
-                    }
-                    for (const symbol of Object.getOwnPropertySymbols(val)) {
-                        this.#register(symbol, val[symbol], depthOpts, recursive, [...path, symbol]);
-                    }
-                    getter = () => depthOpts.target;
+                if (error) {
+                    const err = error;
+                    error = undefined;
+                    done = true;
+                    return Promise.reject(err);
+                }
+                if (done) {
+                    return Promise.resolve({ value: undefined, done: true });
+                }
+                return new Promise(resolve => {
+                    pending = resolve;
+                });
+            },
+            return: end,
+            [Symbol.asyncIterator]() {
+                return this;
+            },
+        };
+    }
+    /**
+     * Create an observable of the value at the given key path.
+     *
+     * A subscriber is called with the current value immediately and with the new
+     * value after every flush (see {@link onFlush}) that changed the property,
+     * any of its descendants or any of its parents, except for primitive values
+     * that stayed the same. The value is always read through the reactive
+     * accessors, so it stays valid when a deep parent is reassigned.
+     *
+     * The observable implements `Symbol.observable` (or `@@observable`),
+     * so it can be passed to the `from` of RxJS and similar libraries.
+     *
+     * If `next` throws, the subscription is closed and the error is passed to
+     * the observer's `error` or, if there is none, reported asynchronously
+     * as an uncaught error. `complete` is never called since a property can
+     * always be registered again.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     *
+     * const subscription = storage.observe('user.name').subscribe(name => {
+     *   console.log(name);
+     * });
+     * // "foo"
+     *
+     * storage.target.user = { name: 'bar' };
+     * // "bar"
+     *
+     * subscription.unsubscribe();
+     * ```
+     *
+     * @param path The key path of the property, starting with the registered key.
+     */
+    observe(path) {
+        const keys = ReactiveStorage.#parsePattern(path);
+        const observable = {
+            subscribe: (observer) => {
+                const next = typeof observer === 'function' ? observer : observer?.next?.bind(observer);
+                const error = typeof observer === 'function' ? undefined : observer?.error?.bind(observer);
+                let closed = false;
+                let off;
+                const subscription = {
+                    unsubscribe() {
+                        closed = true;
+                        off?.();
+                    },
+                    get closed() {
+                        return closed;
+                    },
+                };
+                off = this.#subscribePath(keys, val => {
+                    if (closed)
+                        return;
+                    try {
+                        next?.(val);
+                    }
+                    catch (err) {
+                        subscription.unsubscribe();
+                        if (error)
+                            error(err);
+                        else
+                            host.queueMicrotask(() => { throw err; });
+                    }
+                });
+                // `next` may have thrown on the initial value already
+                if (closed)
+                    off();
+                return subscription;
+            },
+        };
+        // `Symbol.observable` is only present if polyfilled, e.g. by RxJS
+        observable[Symbol.observable ?? '@@observable'] = () => observable;
+        return observable;
+    }
+    /**
+     * Create a signal bound to the property at the given key path, whose value
+     * is read and written through the reactive accessors. Like
+     * {@link observe}, it stays valid when a deep parent is reassigned.
+     *
+     * Reading via `get()` within {@link effect} or {@link computed} is tracked.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     *
+     * const name = storage.signal('user.name');
+     * name.subscribe(val => { console.log(val) });
+     * // "foo"
+     *
+     * name.set('bar');
+     * // "bar"
+     * console.log(storage.target.user.name) // "bar"
+     * ```
+     *
+     * @param path The key path of the property, starting with the registered key.
+     */
+    signal(path) {
+        const keys = ReactiveStorage.#parsePattern(path);
+        return {
+            get: () => ReactiveStorage.#readPath(this, keys),
+            set: val => this.set(keys, val),
+            subscribe: callback => this.#subscribePath(keys, callback),
+        };
+    }
+    /**
+     * Call the given function with the current value at the given key path
+     * and after every change of it, see {@link observe}.
+     */
+    #subscribePath(keys, callback) {
+        let prevVal = ReactiveStorage.#readPath(this, keys);
+        callback(prevVal);
+        return this.#onPathChange(keys, () => {
+            const val = ReactiveStorage.#readPath(this, keys);
+            if (Object.is(val, prevVal) && (val == null || typeof val !== 'object'))
+                return;
+            prevVal = val;
+            callback(val);
+        });
+    }
+    /**
+     * Call the given function after every flush that changed or removed
+     * the property at the given key path, any of its descendants or any of
+     * its parents.
+     */
+    #onPathChange(keys, callback) {
+        return this.onFlush(changes => {
+            if (changes.some(({ path }) => matchesPath(keys, path)))
+                callback();
+        });
+    }
+    /**
+     * Run the given function while batching all notifications of the instance's
+     * first layer, i.e. its {@link Options.postSetter} calls and {@link watch}
+     * listeners.
+     *
+     * Writes inside the batch reach their endpoints immediately, but
+     * notifications are deferred until the outermost batch has finished.
+     * They are then coalesced by path such that every changed path is notified
+     * only once with its first `prevVal` and its final `val`. Finally, all
+     * {@link onFlush} listeners are called with the list of changes.
+     *
+     * A listener that throws while flushing does not prevent the remaining ones
+     * from being called. Its error is rethrown afterwards (as an
+     * `AggregateError` if there are multiple), which in microtask mode
+     * (see {@link Options.batch}) reports it as an uncaught error.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   postSetter: ({ val, prevVal }) => { console.log(`${prevVal} -> ${val}`) }
+     * });
+     * storage.register('foo', 1);
+     * // "undefined -> 1"
+     *
+     * storage.batch(() => {
+     *   storage.target.foo = 2;
+     *   storage.target.foo = 3;
+     * });
+     * // "1 -> 3"
+     * ```
+     *
+     * @param fn The function to run.
+     *
+     * @return The return value of `fn`.
+     */
+    batch(fn) {
+        this.#batchDepth++;
+        try {
+            return this.#write(fn);
+        }
+        finally {
+            this.#batchDepth--;
+            this.#tryFlush();
+        }
+    }
+    /**
+     * Add a listener that is called with every coalesced list of changes,
+     * including removed properties (see {@link PostSetterEvent.removed}).
+     *
+     * Outside of a batch (see {@link batch}), every write is flushed on its own,
+     * including all nested writes of a deep reassignment. A flush listener is
+     * thus called only once per reassignment.
+     *
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
+     */
+    onFlush(callback) {
+        this.#flushListeners.add(callback);
+        return () => {
+            this.#flushListeners.delete(callback);
+        };
+    }
+    /**
+     * Add a listener that is called with the JSON Patch operations (RFC 6902)
+     * of every flush (see {@link onFlush}).
+     *
+     * Changes are converted into `add` (initial assignments), `replace` or
+     * `remove` (see {@link remove}) operations of their outermost paths, each
+     * carrying a snapshot (see {@link snapshot}) of the current value.
+     * An in-place array mutation results in a `replace` of the whole array.
+     * Paths containing symbols cannot be represented and are skipped.
+     *
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
+     */
+    onPatch(callback) {
+        this.#patchListeners.add(callback);
+        return () => {
+            this.#patchListeners.delete(callback);
+        };
+    }
+    /**
+     * Apply the given JSON Patch operations (RFC 6902) within a single batch
+     * (see {@link batch}), writing every value through the reactive accessors.
+     *
+     * The operations `add`, `replace` and `remove` are supported. Unlike
+     * the RFC, the patch is not atomic: Every operation is applied on its own
+     * and operations that cannot be applied are rejected. This is the case
+     * if its path or its parent does not exist or if its parent is not a
+     * target or a deep target, so the value cannot be registered.
+     *
+     * @param ops The operations to apply.
+     *
+     * @return All rejected operations along with the reason.
+     */
+    applyPatch(ops) {
+        const rejections = [];
+        this.batch(() => {
+            ops.forEach((op, index) => {
+                const reason = this.#applyOperation(op);
+                if (reason)
+                    rejections.push({ index, op, reason });
+            });
+        });
+        return rejections;
+    }
+    /** @return The reason if the operation could not be applied. */
+    #applyOperation(op) {
+        if (op.op !== 'add' && op.op !== 'replace' && op.op !== 'remove') {
+            return `Unsupported operation "${op.op}"`;
+        }
+        const path = typeof op.path === 'string' ? fromPointer(op.path) : undefined;
+        if (!path)
+            return `Invalid JSON Pointer "${op.path}"`;
+        if (path.length === 0)
+            return "The root cannot be modified";
+        if (op.op !== 'remove' && op.value === undefined)
+            return "Missing value";
+        const key = path[path.length - 1];
+        const parent = path.length === 1 ? this.target : this.#getParent(path);
+        if (parent == null)
+            return `Parent of "${op.path}" does not exist`;
+        const data = ReactiveStorage.#deepTargets.get(parent);
+        if (parent !== this.target && !data) {
+            return `Parent of "${op.path}" is not deeply registered`;
+        }
+        const exists = Object.prototype.hasOwnProperty.call(parent, key);
+        if (data && Array.isArray(parent)) {
+            const append = key === '-' && op.op === 'add';
+            const index = append ? parent.length : Number(key);
+            const max = op.op === 'add' ? parent.length : parent.length - 1;
+            if (!append && !/^(0|[1-9]\d*)$/.test(String(key)) || index > max) {
+                return `Invalid array index "${String(key)}" of "${op.path}"`;
+            }
+            if (op.op === 'replace') {
+                parent[index] = op.value;
+            }
+            else {
+                const prevItems = ReactiveStorage.#arrayItems(data);
+                const items = prevItems.slice();
+                if (op.op === 'add')
+                    items.splice(index, 0, op.value);
+                else
+                    items.splice(index, 1);
+                ReactiveStorage.#writeArrayItems(data, prevItems, items);
+            }
+            return;
+        }
+        if (op.op !== 'add' && !exists)
+            return `"${op.path}" does not exist`;
+        if (exists && op.op !== 'remove' && !Object.getOwnPropertyDescriptor(parent, key).set) {
+            return `"${op.path}" is not writable`;
+        }
+        if (op.op === 'remove') {
+            this.remove(path);
+        }
+        else {
+            this.set(path, op.value);
+        }
+    }
+    /**
+     * Persist the instance's data using the given adapter (see {@link Adapter}).
+     *
+     * The saved data is loaded immediately. Properties that are already
+     * registered are assigned their saved values, properties registered later
+     * on are initialized with their saved value instead of the passed initial
+     * value. With restricted {@link PersistOptions.paths}, the saved values are
+     * merged into the initial value.
+     *
+     * Afterwards, the persisted properties are saved (as a
+     * {@link snapshot}) after every change, debounced by
+     * {@link PersistOptions.debounce}.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.persist({
+     *   adapter: Adapter.webStorage(localStorage, 'settings'),
+     *   paths: [ 'theme', 'user.name' ],
+     * });
+     * storage.register('theme', 'light'); // Initialized with the saved theme, if any
+     * ```
+     *
+     * @param options The adapter to use or a full set of options.
+     *
+     * @return A function that stops persisting, saving any pending changes.
+     */
+    persist(options) {
+        const { adapter, paths, debounce = 100, onError = host.console.error, } = 'adapter' in options ? options : { adapter: options };
+        const patterns = paths?.map(ReactiveStorage.#parsePattern);
+        const persisted = { data: adapter.load() ?? {}, patterns };
+        const isPersisted = (path) => {
+            return !patterns || patterns.some(pattern => matchesPath(pattern, path));
+        };
+        let timeout;
+        let pending = false;
+        const save = () => {
+            host.clearTimeout(timeout);
+            pending = false;
+            adapter.save(this.#pickPersisted(patterns));
+        };
+        this.batch(() => {
+            for (const key of Reflect.ownKeys(persisted.data)) {
+                if (this.has(key) && Object.getOwnPropertyDescriptor(this.target, key).set) {
+                    this.target[key] = this.#merge(this.target[key], persisted.data[key], [key], patterns);
+                }
+            }
+        });
+        this.#persisted.push(persisted);
+        const unwatch = this.onPatch(ops => {
+            if (ops.some(op => isPersisted(fromPointer(op.path)))) {
+                host.clearTimeout(timeout);
+                pending = true;
+                timeout = host.setTimeout(() => {
+                    try {
+                        save();
+                    }
+                    catch (err) {
+                        onError(err);
+                    }
+                }, debounce);
+            }
+        });
+        return () => {
+            unwatch();
+            this.#persisted.splice(this.#persisted.indexOf(persisted), 1);
+            if (pending)
+                save();
+        };
+    }
+    /** Get the initial value of the given key according to all persisted data. */
+    #hydrate(key, value) {
+        for (const { data, patterns } of this.#persisted) {
+            if (Object.prototype.hasOwnProperty.call(data, key)) {
+                value = this.#merge(value, data[key], [key], patterns);
+            }
+        }
+        return value;
+    }
+    /** Merge a saved value into a value, restricted to the given patterns. */
+    #merge(value, saved, path, patterns) {
+        // The saved value is persisted as a whole
+        if (!patterns || patterns.some(pattern => pattern.length <= path.length && matchesPath(pattern, path))) {
+            return saved;
+        }
+        value = ReactiveStorage.snapshot({ value }).value;
+        if (!Filter.objectLiteralOrArray(saved))
+            return value;
+        if (!Filter.objectLiteralOrArray(value))
+            return saved;
+        for (const key of Object.keys(saved)) {
+            value[key] = this.#merge(value[key], saved[key], [...path, key], patterns);
+        }
+        return value;
+    }
+    /** Create a snapshot of {@link target} restricted to the given patterns. */
+    #pickPersisted(patterns) {
+        const pick = (value, path) => {
+            if (patterns.some(pattern => pattern.length <= path.length && matchesPath(pattern, path))) {
+                return value;
+            }
+            if (value == null || typeof value !== 'object')
+                return undefined;
+            const picked = Array.isArray(value) ? [] : {};
+            for (const key of Object.keys(value)) {
+                const keyPath = [...path, key];
+                if (patterns.some(pattern => matchesPath(pattern, keyPath))) {
+                    picked[key] = pick(value[key], keyPath);
+                }
+            }
+            return picked;
+        };
+        const snapshot = this.snapshot();
+        if (!patterns)
+            return snapshot;
+        const data = {};
+        for (const key of Object.keys(snapshot)) {
+            if (patterns.some(pattern => matchesPath(pattern, [key]))) {
+                data[key] = pick(snapshot[key], [key]);
+            }
+        }
+        return data;
+    }
+    /** Run a write, flushing the recorded changes after the outermost write. */
+    #write(fn) {
+        this.#writeDepth++;
+        try {
+            return fn();
+        }
+        finally {
+            this.#writeDepth--;
+            if (this.#writeDepth === 0)
+                this.#syncStaleViews();
+            this.#tryFlush();
+        }
+    }
+    /** Notify or record a committed change or removal of the first layer. */
+    #commit(event, postSetter, removed = false) {
+        if (ReactiveStorage.#materializing > 0) {
+            // Lazily registered keys have already been recorded as part of their parent
+            postSetter?.(event);
+            this.#dispatch(event);
+            return;
+        }
+        // Writing the same primitive again does not change the state
+        if (removed || event.mutation || !Object.is(event.val, event.prevVal)) {
+            this.#markChanged(event.path);
+        }
+        if (this.#batchDepth === 0 && this.config[0].batch === 'microtask') {
+            this.#batchDepth++;
+            // Errors of the deferred flush are reported like any uncaught error
+            host.queueMicrotask(() => {
+                this.#batchDepth--;
+                this.#tryFlush();
+            });
+        }
+        if (this.#batchDepth > 0) {
+            this.#record(event, postSetter, false, removed);
+        }
+        else {
+            postSetter?.(event);
+            this.#dispatch(event);
+            if (this.#flushListeners.size > 0 || this.#patchListeners.size > 0 || this.#subscribers.size > 0) {
+                this.#record(event, postSetter, true, removed);
+            }
+        }
+    }
+    #record(event, postSetter, notified, removed = false) {
+        let node = this.#changeIndex;
+        for (const key of event.path) {
+            let child = node.children.get(key);
+            if (!child) {
+                child = { children: new Map() };
+                node.children.set(key, child);
+            }
+            node = child;
+        }
+        if (node.record) {
+            const { prevVal, initial } = node.record.event;
+            node.record.event = Object.assign({}, event, { prevVal, initial });
+            node.record.notified &&= notified;
+            node.record.removed = removed;
+        }
+        else {
+            node.record = { event, postSetter, notified, removed };
+            this.#changes.push(node.record);
+        }
+    }
+    #tryFlush() {
+        if (this.#batchDepth > 0 || this.#writeDepth > 0)
+            return;
+        if (this.#changes.length === 0 && this.#stale.size === 0)
+            return;
+        const changes = this.#changes;
+        this.#changes = [];
+        this.#changeIndex = { children: new Map() };
+        // Errors of nested flushes are collected by the outermost one
+        const outerErrors = this.#flushErrors;
+        const errors = this.#flushErrors = outerErrors ?? [];
+        try {
+            for (const record of changes) {
+                if (!record.notified) {
+                    if (record.postSetter)
+                        this.#call(record.postSetter, record.event);
+                    this.#dispatch(record.event);
+                }
+            }
+            if (this.#flushListeners.size > 0) {
+                // Keys that have been added and removed within the same flush are left out
+                const events = changes.filter(record => !record.removed || !record.event.initial).map(record => record.event);
+                if (events.length > 0) {
+                    for (const listener of Array.from(this.#flushListeners)) {
+                        this.#call(listener, events);
+                    }
+                }
+            }
+            if (this.#patchListeners.size > 0) {
+                const ops = this.#createPatch(changes);
+                if (ops.length > 0) {
+                    for (const listener of Array.from(this.#patchListeners)) {
+                        this.#call(listener, ops);
+                    }
+                }
+            }
+            if (this.#notifiedVersion !== this.#version) {
+                this.#notifiedVersion = this.#version;
+                for (const subscriber of Array.from(this.#subscribers)) {
+                    this.#call(subscriber, undefined);
+                }
+            }
+            this.#runStale();
+        }
+        finally {
+            this.#flushErrors = outerErrors;
+        }
+        if (!outerErrors && errors.length > 0) {
+            throw errors.length === 1 ? errors[0] : new AggregateError(errors, 'Multiple listeners threw while flushing.');
+        }
+    }
+    /** Re-run every stale tracked function once, including those that become stale meanwhile. */
+    #runStale() {
+        if (this.#runningStale)
+            return;
+        this.#runningStale = true;
+        try {
+            for (const rerun of this.#stale) {
+                this.#stale.delete(rerun);
+                this.#call(rerun, undefined);
+            }
+        }
+        finally {
+            this.#runningStale = false;
+        }
+    }
+    /** Bump the {@link version} and remember the changed path for {@link getSnapshot}. */
+    #markChanged(path) {
+        this.#version++;
+        const cache = this.#snapshotCache;
+        if (cache?.paths) {
+            if (cache.paths.length < 1000)
+                cache.paths.push(path);
+            else
+                cache.paths = undefined;
+        }
+    }
+    /** Convert the outermost recorded changes into JSON Patch operations. */
+    #createPatch(changes) {
+        const ops = [];
+        for (const { event, removed } of filterOutermost(changes.map(record => record.event), changes)) {
+            // Symbols cannot be represented by a JSON Pointer
+            if (event.path.some(key => typeof key === 'symbol'))
+                continue;
+            const path = toPointer(event.path);
+            if (removed) {
+                // Added and removed within the same flush
+                if (!event.initial)
+                    ops.push({ op: 'remove', path });
+                continue;
+            }
+            const parent = this.#getParent(event.path);
+            const key = event.path[event.path.length - 1];
+            if (parent == null || !Object.prototype.hasOwnProperty.call(parent, key))
+                continue;
+            ops.push({
+                op: event.initial ? 'add' : 'replace',
+                path,
+                value: ReactiveStorage.snapshot({ value: parent[key] }).value,
+            });
+        }
+        return ops;
+    }
+    /**
+     * Define a getter-only property on {@link target} whose value is derived
+     * from other registered properties.
+     *
+     * The given function is run immediately while recording every registered
+     * property of the instance's first layer it reads. Its result is cached
+     * until one of these properties is set, at which point it is recomputed
+     * (once after the write or {@link batch} that has set them) and its
+     * dependencies are recorded anew. If the result has changed,
+     * the instance's {@link Options.postSetter} and {@link watch} listeners
+     * are notified with the computed property's path.
+     *
+     * The property can be removed again using {@link delete}.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('items', [ { price: 2 }, { price: 3 } ]);
+     * storage.computed('total', () => {
+     *   return storage.target.items.reduce((sum, item) => sum + item.price, 0);
+     * });
+     * storage.watch('total', ({ val }) => { console.log("Total:", val) });
+     *
+     * storage.target.items[0].price = 5;
+     * // "Total: 8"
+     * ```
+     *
+     * @param key The property name to define on {@link target}.
+     * @param fn The function computing the property's value.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    computed(key, fn) {
+        this.#assertNotFrozen();
+        const path = [key];
+        const postSetter = typeof this.config[0].postSetter === 'function'
+            ? this.config[0].postSetter
+            : undefined;
+        let value;
+        const onChange = () => {
+            const prevVal = value;
+            value = run();
+            if (!Object.is(prevVal, value)) {
+                this.#write(() => {
+                    this.#commit({ val: value, prevVal, initial: false, path }, postSetter);
+                });
+            }
+        };
+        const run = this.#createTracked(fn, onChange);
+        this.#computed.get(key)?.();
+        this.#computed.set(key, run.dispose);
+        Object.defineProperty(this.target, key, {
+            configurable: true,
+            enumerable: this.config[0].enumerable ?? true,
+            get: () => {
+                if (this.#tracker)
+                    this.#tracker(path);
+                return value;
+            },
+        });
+        this.#syncView();
+        value = run();
+        if (value !== undefined) {
+            this.#write(() => {
+                this.#commit({ val: value, prevVal: undefined, initial: true, path }, postSetter);
+            });
+        }
+        return this;
+    }
+    /**
+     * Run the given function immediately and re-run it whenever one of the
+     * registered properties it has read in its most recent run is set.
+     * A write that sets several of them, like a deep reassignment or a
+     * {@link batch}, re-runs the function only once afterwards.
+     * Just like with {@link computed}, only the instance's first layer is
+     * tracked and the dependencies are recorded anew on every run.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     *
+     * const dispose = storage.effect(() => {
+     *   console.log("Name:", storage.target.user.name);
+     * });
+     * // "Name: foo"
+     *
+     * storage.target.user.name = 'bar';
+     * // "Name: bar"
+     *
+     * dispose();
+     * ```
+     *
+     * @param fn The function to run.
+     *
+     * @return A function that stops the effect.
+     */
+    effect(fn) {
+        let disposed = false;
+        const run = this.#createTracked(fn, () => {
+            if (!disposed)
+                run();
+        });
+        run();
+        return () => {
+            disposed = true;
+            run.dispose();
+        };
+    }
+    /**
+     * Create a plain, detached deep copy of the current state of {@link target}.
+     * See {@link ReactiveStorage.snapshot}.
+     */
+    snapshot() {
+        return ReactiveStorage.snapshot(this.target);
+    }
+    /**
+     * Same as {@link snapshot}. Makes the instance serializable via
+     * `JSON.stringify`.
+     */
+    toJSON() {
+        return this.snapshot();
+    }
+    /**
+     * Number that is incremented with every change of the instance's first
+     * layer, including removals. Assigning the same primitive value again
+     * does not count as a change.
+     */
+    get version() {
+        return this.#version;
+    }
+    /**
+     * Get a deeply frozen snapshot (see {@link snapshot}) of the current state
+     * of {@link target}, e.g. for `useSyncExternalStore` of React.
+     *
+     * The same snapshot is returned until the state changes (see
+     * {@link version}). A new snapshot only copies the branches along the
+     * changed paths and shares everything else with the previous one.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.registerFrom({ user: { name: 'foo' }, todos: [] });
+     *
+     * const prev = storage.getSnapshot();
+     * storage.target.user.name = 'bar';
+     * const next = storage.getSnapshot();
+     *
+     * console.log(prev === next) // false
+     * console.log(prev.todos === next.todos) // true
+     * ```
+     */
+    getSnapshot() {
+        let cache = this.#snapshotCache;
+        if (!cache || !cache.paths) {
+            cache = this.#snapshotCache = {
+                value: deepFreeze(this.snapshot()),
+                version: this.#version,
+                paths: [],
+            };
+        }
+        else if (cache.version !== this.#version) {
+            const paths = cache.paths;
+            const events = paths.map(path => ({ path }));
+            for (const path of filterOutermost(events, paths)) {
+                cache.value = ReactiveStorage.#patchSnapshot(cache.value, this.target, path, 0);
+            }
+            cache.paths = [];
+            cache.version = this.#version;
+        }
+        return cache.value;
+    }
+    /**
+     * Add a listener that is called after every flush (see {@link onFlush})
+     * that changed the state, including removals. Together with
+     * {@link getSnapshot}, this is suitable for `useSyncExternalStore` of React.
+     *
+     * @param callback The listener to add.
+     *
+     * @return A function that removes the listener again.
+     */
+    subscribe(callback) {
+        this.#subscribers.add(callback);
+        return () => {
+            this.#subscribers.delete(callback);
+        };
+    }
+    /**
+     * Create a function that runs `fn` while recording the paths of all
+     * registered properties it reads. `onChange` is called once after the
+     * write or flush (see {@link batch}) that has set one or more of the
+     * properties recorded in the most recent run.
+     */
+    #createTracked(fn, onChange) {
+        let unwatchers = [];
+        const schedule = () => {
+            this.#stale.add(onChange);
+            // Changes are usually notified within a write or flush which re-runs
+            // the stale functions when done, except for lazy registrations on read
+            if (!this.#flushErrors)
+                this.#tryFlush();
+        };
+        const dispose = () => {
+            for (const unwatch of unwatchers)
+                unwatch();
+            unwatchers = [];
+        };
+        const run = () => {
+            dispose();
+            // The same property always reports the same path array
+            const deps = new Set();
+            const prevTracker = this.#tracker;
+            this.#tracker = path => { deps.add(path); };
+            try {
+                return fn();
+            }
+            finally {
+                this.#tracker = prevTracker;
+                for (const path of deps) {
+                    unwatchers.push(this.watch(path, schedule));
+                }
+            }
+        };
+        return Object.assign(run, { dispose });
+    }
+    /** Get the value holding the last key of the given path, if it is an object. */
+    #getParent(path) {
+        let obj = this.target;
+        for (let i = 0; i < path.length - 1; i++) {
+            obj = obj instanceof Map ? obj.get(path[i]) : obj[path[i]];
+            if (obj == null || typeof obj !== 'object')
+                return undefined;
+        }
+        return obj;
+    }
+    /**
+     * Lock the whole storage, including all deep targets: Any subsequent
+     * write, in-place mutation, registration or removal throws a
+     * {@link ReactiveStorageError} until {@link unfreeze} is called.
+     *
+     * Just like with {@link Options.readonly}, a plain `delete` on a target
+     * is not prevented, since the accessors stay configurable.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    freeze() {
+        this.#frozen = true;
+        return this;
+    }
+    /**
+     * Unlock the storage after it has been locked via {@link freeze}.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    unfreeze() {
+        this.#frozen = false;
+        return this;
+    }
+    /** Whether the storage is currently locked via {@link freeze}. */
+    isFrozen() {
+        return this.#frozen;
+    }
+    /** Sync the keys of the view of {@link target}, if any. */
+    #syncView() {
+        if (this.#views.has(this.target))
+            this.#getView(this.target, []);
+    }
+    /** Sync the keys of the views of all deep targets marked as stale. */
+    #syncStaleViews() {
+        for (const data of this.#staleViews) {
+            this.#staleViews.delete(data);
+            this.#getView(data.target, ReactiveStorage.#pathOf(data.owner));
+        }
+    }
+    /** Mark the view of the given deep target as stale after adding or removing a key. */
+    static #markViewStale(holder) {
+        const { ctx } = holder;
+        if (ctx && holder.owner && ctx.#views.has(holder.target)) {
+            ctx.#staleViews.add(holder);
+            if (ctx.#writeDepth === 0)
+                ctx.#syncStaleViews();
+        }
+    }
+    #assertNotFrozen() {
+        if (this.#frozen) {
+            throw new ReactiveStorageError('READONLY', "Cannot modify a frozen storage");
+        }
+    }
+    /**
+     * Get a read-only view of {@link target}, e.g. to hand it to code that must
+     * not change any state.
+     *
+     * The view is an object with the same keys whose reads stay live: They
+     * read through the accessors of {@link target}, invoking all configured
+     * getters. Any deep target is returned as a read-only view in turn, while
+     * other values are returned as is. Writes and in-place mutations of views
+     * throw a {@link ReactiveStorageError}.
+     *
+     * Keys that are added or removed later are reflected as well.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({ depth: Infinity });
+     * storage.register('user', { name: 'foo' });
+     * const view = storage.readonlyView();
+     *
+     * storage.target.user.name = 'bar';
+     * console.log(view.user.name) // "bar"
+     *
+     * view.user.name = 'baz';
+     * // ReactiveStorageError: Cannot write to read-only view at "user.name"
+     * ```
+     */
+    readonlyView() {
+        return this.#getView(this.target, []);
+    }
+    /**
+     * Get the (cached) view of the given target or deep target and sync its
+     * keys, or return other values as is.
+     */
+    #getView(obj, path) {
+        if (obj == null || typeof obj !== 'object'
+            || (obj !== this.target && !ReactiveStorage.#deepTargets.has(obj))) {
+            return obj;
+        }
+        const reject = (key) => {
+            const keyPath = key === undefined ? path : [...path, key];
+            throw new ReactiveStorageError('READONLY', `Cannot write to read-only view at "${keyPath.map(String).join('.')}"`);
+        };
+        const defineMethods = (view, methods) => {
+            for (const name of Reflect.ownKeys(methods)) {
+                Object.defineProperty(view, name, {
+                    configurable: true, enumerable: false, writable: false, value: methods[name]
+                });
+            }
+        };
+        let view = this.#views.get(obj);
+        if (obj instanceof Map || obj instanceof Set) {
+            if (!view) {
+                const isMap = obj instanceof Map;
+                const collection = obj;
+                view = isMap ? new Map() : new Set();
+                const wrap = (key, val) => this.#getView(val, [...path, key]);
+                const entries = function* () {
+                    for (const [key, val] of collection.entries())
+                        yield [key, wrap(key, val)];
+                };
+                const values = function* () {
+                    for (const [, val] of entries())
+                        yield val;
+                };
+                defineMethods(view, {
+                    get: (key) => wrap(key, collection.get(key)),
+                    has: (key) => collection.has(key),
+                    forEach: (callback, thisArg) => {
+                        for (const [key, val] of entries())
+                            callback.call(thisArg, val, isMap ? key : val, view);
+                    },
+                    keys: isMap ? () => collection.keys() : values,
+                    values,
+                    entries,
+                    [Symbol.iterator]: isMap ? entries : values,
+                    set: () => reject(),
+                    add: () => reject(),
+                    delete: () => reject(),
+                    clear: () => reject(),
+                });
+                Object.defineProperty(view, 'size', { configurable: true, enumerable: false, get: () => collection.size });
+                this.#views.set(obj, view);
+            }
+            return view;
+        }
+        if (!view) {
+            view = Array.isArray(obj) ? [] : {};
+            if (Array.isArray(view)) {
+                const methods = {};
+                for (const method of ARRAY_MUTATORS)
+                    methods[method] = () => reject();
+                defineMethods(view, methods);
+            }
+            this.#views.set(obj, view);
+        }
+        const record = view;
+        const keys = getOwnKeys(obj);
+        const keySet = new Set(keys);
+        for (const key of getOwnKeys(view)) {
+            if (!keySet.has(key))
+                delete record[key];
+        }
+        for (const key of keys) {
+            if (!Object.prototype.hasOwnProperty.call(view, key)) {
+                Object.defineProperty(view, key, {
+                    configurable: true,
+                    enumerable: Object.getOwnPropertyDescriptor(obj, key).enumerable,
+                    get: () => this.#getView(obj[key], [...path, key]),
+                    set: () => reject(key),
+                });
+            }
+        }
+        if (Array.isArray(view))
+            view.length = obj.length;
+        return view;
+    }
+    /**
+     * Register one or multiple reactive properties according to the current
+     * instance's configuration ({@link config}) and the given initial value,
+     * if any.
+     *
+     * @param key The property name to register on {@link target}.
+     * @param initialValue The initial value that will be assigned after registering.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    register(key, initialValue) {
+        this.#assertNotFrozen();
+        if (this.#persisted.length > 0) {
+            for (const singleKey of Array.isArray(key) ? key : [key]) {
+                const value = this.#hydrate(singleKey, initialValue);
+                ReactiveStorage.#registerGeneric(singleKey, value, this.config, false, this);
+            }
+        }
+        else {
+            ReactiveStorage.#registerGeneric(key, initialValue, this.config, false, this);
+        }
+        this.#syncView();
+        return this;
+    }
+    /**
+     * Register all property keys and symbols of the given object with their
+     * respective values according to the current instance's configuration
+     * ({@link config}).
+     *
+     * @param object The object the keys and symbols of will be registered.
+     *
+     * @return The current {@link ReactiveStorage} instance for easy chaining.
+     */
+    registerFrom(object) {
+        this.#assertNotFrozen();
+        for (const key of Object.keys(object)) {
+            const value = this.#hydrate(key, object[key]);
+            ReactiveStorage.#registerGeneric(key, value, this.config, false, this);
+        }
+        for (const symbol of Object.getOwnPropertySymbols(object)) {
+            ReactiveStorage.#registerGeneric(symbol, object[symbol], this.config, false, this);
+        }
+        this.#syncView();
+        return this;
+    }
+    /**
+     * Insert a configuration layer into the definition chain (see
+     * {@link Configuration}) at the given index, like a temporary logging or
+     * validation layer.
+     *
+     * All registered properties are registered on the new layer, which adopts
+     * their current values from the following layer (or the
+     * {@link shallowEndpoint}) without calling its callbacks or writing them.
+     * The preceding layer is then linked to the new one.
+     *
+     * The first layer cannot be replaced since it holds {@link target} and is
+     * the only one that is observed by the instance.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage();
+     * storage.register('foo', 1);
+     *
+     * storage.addLayer({ setter: ({ val }) => { console.log("SET", val) } });
+     * storage.target.foo = 2;
+     * // "SET 2"
+     *
+     * storage.removeLayer(1);
+     * ```
+     *
+     * @param config The configuration of the new layer. Its `shallowEndpoint`
+     *               is replaced with the target of the following layer.
+     * @param index Index of the new layer within {@link config}, at least 1.
+     *
+     * @return The target of the new layer.
+     */
+    addLayer(config, index = this.config.length) {
+        if (!Number.isInteger(index) || index < 1 || index > this.config.length) {
+            throw new ReactiveStorageError('INVALID_LAYER_INDEX', `A layer can only be added at an index from 1 to ${this.config.length}, got ${index}.`);
+        }
+        ReactiveStorage.#validateConfig(config, `config[${index}]`, 'chain');
+        const prev = this.config[index - 1];
+        const layer = Object.assign({ target: {} }, config, { shallowEndpoint: prev.shallowEndpoint });
+        const holder = {
+            target: layer.target,
+            endpoint: layer.shallowEndpoint,
+            layer: ReactiveStorage.#createLayer(layer, false, ReactiveStorage.#getDepthOptions(layer, false)),
+        };
+        ReactiveStorage.#adopting = true;
+        try {
+            for (const key of ReactiveStorage.#states.get(prev.target)?.keys() ?? []) {
+                ReactiveStorage.#register(key, layer.shallowEndpoint[key], holder);
+            }
+        }
+        finally {
+            ReactiveStorage.#adopting = false;
+        }
+        prev.shallowEndpoint = layer.target;
+        ReactiveStorage.#relink(prev.target, layer.target);
+        this.config.splice(index, 0, layer);
+        this.targets.splice(index, 0, layer.target);
+        return layer.target;
+    }
+    /**
+     * Remove the configuration layer at the given index from the definition
+     * chain (see {@link Configuration}), linking the preceding layer to the
+     * following one (or the {@link shallowEndpoint}).
+     *
+     * The values of all properties are kept. The properties of the removed
+     * layer are unregistered from its target.
+     *
+     * @param index Index of the layer within {@link config}, at least 1.
+     *
+     * @return The configuration of the removed layer.
+     */
+    removeLayer(index) {
+        if (!Number.isInteger(index) || index < 1 || index >= this.config.length) {
+            throw new ReactiveStorageError('INVALID_LAYER_INDEX', this.config.length > 1
+                ? `A layer can only be removed at an index from 1 to ${this.config.length - 1}, got ${index}.`
+                : `The first layer cannot be removed.`);
+        }
+        const [layer] = this.config.splice(index, 1);
+        this.targets.splice(index, 1);
+        const prev = this.config[index - 1];
+        prev.shallowEndpoint = layer.shallowEndpoint;
+        ReactiveStorage.#relink(prev.target, layer.shallowEndpoint);
+        for (const key of Array.from(ReactiveStorage.#states.get(layer.target)?.keys() ?? [])) {
+            ReactiveStorage.#unregister(layer.target, key);
+        }
+        return layer;
+    }
+    // ---- Static methods ----
+    /**
+     * Set a property of a deep target through its reactive accessor.
+     *
+     * If the key does not exist on the deep target yet, it is registered using
+     * the options the deep target itself has been registered with, invoking
+     * the configured callbacks with the correct path.
+     *
+     * @example
+     * ```js
+     * const storage = new ReactiveStorage({
+     *   depth: Infinity,
+     *   setter: ({ val, path }) => { console.log(`SET ${path.join('.')}:`, val) }
+     * });
+     * storage.register('foo', { bar: 3 });
+     *
+     * ReactiveStorage.set(storage.target.foo, 'baz', 4);
+     * // "SET foo.baz: 4"
+     * ```
+     *
+     * @param target A deep target, i.e. an object value of a deeply registered property.
+     * @param key The property key to set.
+     * @param value The value to assign.
+     *
+     * @return Whether the given target is a deep target.
+     */
+    static set(target, key, value) {
+        const data = this.#deepTargets.get(target);
+        if (!data)
+            return false;
+        if (target instanceof Map) {
+            target.set(key, value);
+        }
+        else if (target instanceof Set) {
+            target.add(value);
+        }
+        else if (Object.prototype.hasOwnProperty.call(target, key)) {
+            target[key] = value;
+        }
+        else if (this.#isDeepTargetWritable(data, key)) {
+            this.#register(key, value, data);
+        }
+        else {
+            return false;
+        }
+        return true;
+    }
+    /**
+     * Keep the values at two key paths in sync, each within a
+     * {@link ReactiveStorage} instance or a plain object.
+     *
+     * Whenever the value at or within a path of an instance changes, a detached
+     * copy of it (see {@link snapshot}) is written to the other path, optionally
+     * transformed. Writes to a storage go through {@link ReactiveStorage#set},
+     * so nothing is written while the parent of the path is not a deep target
+     * (whereas missing parents are created within a plain object).
+     * Since plain objects cannot be observed, they can only be written to.
+     *
+     * Values that are equal to the current one are not written. A change that
+     * only consists of the value last written by the binding is not propagated
+     * back, even if it is flushed later (see {@link Options.batch}).
+     * Together, this prevents update loops.
+     *
+     * @example
+     * ```js
+     * const state = new ReactiveStorage({ depth: Infinity });
+     * const draft = new ReactiveStorage({ depth: Infinity });
+     * state.register('user', { name: 'foo' });
+     * draft.register('form', {});
+     *
+     * const unbind = ReactiveStorage.bind(state, 'user', draft, 'form.user', {
+     *   backward: user => ({ ...user, name: user.name.trim() }),
+     * });
+     * draft.target.form.user.name = ' bar ';
+     * console.log(state.target.user.name) // "bar"
+     *
+     * unbind();
+     * ```
+     *
+     * @return A function that removes the binding.
+     */
+    static bind(a, pathA, b, pathB, options = {}) {
+        const direction = options.direction || 'both';
+        const keysA = this.#parsePattern(pathA);
+        const keysB = this.#parsePattern(pathB);
+        for (const [side, obj, observed] of [
+            ['first', a, direction !== 'backward'], ['second', b, direction !== 'forward']
+        ]) {
+            if (observed && !(obj instanceof ReactiveStorage)) {
+                throw new ReactiveStorageError('INVALID_OPTION', `Cannot propagate changes from the ${side} path since it is not within a ReactiveStorage instance. Use a one-way \`direction\` instead.`);
+            }
+        }
+        const sideA = { obj: a, keys: keysA };
+        const sideB = { obj: b, keys: keysB };
+        const propagate = (from, to, transform) => {
+            let val = this.snapshot({ val: this.#readPath(from.obj, from.keys) }).val;
+            const { written } = from;
+            from.written = undefined;
+            if (written && deepEquals(val, written.val))
+                return;
+            if (transform)
+                val = transform(val);
+            if (this.#peek(() => deepEquals(val, this.#readPath(to.obj, to.keys))))
+                return;
+            to.written = { val };
+            if (to.obj instanceof ReactiveStorage) {
+                to.obj.set(to.keys, val);
+            }
+            else {
+                let parent = to.obj;
+                for (const key of to.keys.slice(0, -1)) {
+                    if (parent[key] == null || typeof parent[key] !== 'object')
+                        parent[key] = {};
+                    parent = parent[key];
+                }
+                parent[to.keys[to.keys.length - 1]] = val;
+            }
+        };
+        const forward = () => propagate(sideA, sideB, options.forward);
+        const backward = () => propagate(sideB, sideA, options.backward);
+        const disposers = [];
+        if (direction !== 'backward')
+            disposers.push(a.#onPathChange(keysA, forward));
+        if (direction !== 'forward')
+            disposers.push(b.#onPathChange(keysB, backward));
+        if (options.immediate ?? true) {
+            if (direction === 'backward')
+                backward();
+            else
+                forward();
+        }
+        return () => {
+            for (const dispose of disposers.splice(0))
+                dispose();
+        };
+    }
+    /** Read the value at the given key path of a storage's target or an object. */
+    static #readPath(obj, keys) {
+        let val = obj instanceof ReactiveStorage ? obj.target : obj;
+        for (const key of keys) {
+            if (val == null || typeof val !== 'object')
+                return undefined;
+            val = val instanceof Map ? val.get(key) : val[key];
+        }
+        return val;
+    }
+    /**
+     * Create a plain, detached deep copy of the given (deep) target.
+     *
+     * Every registered property is read through its accessor, so all configured
+     * getters are invoked. Arrays and object literals (including deep targets)
+     * are copied recursively, keeping symbol keys and non-enumerable registered
+     * properties. Maps and Sets are copied into new ones with copied values;
+     * any other value is copied by reference. Cyclic or shared
+     * references result in the same copy.
+     *
+     * @example
+     * ```js
+     * const { target } = ReactiveStorage.registerRecursive('foo', { bar: [ 1, 2 ] });
+     * const snapshot = ReactiveStorage.snapshot(target);
+     * // { foo: { bar: [ 1, 2 ] } }
+     * ```
+     *
+     * @param target Any object, usually a target or a deep target.
+     */
+    static snapshot(target) {
+        return this.#snapshotValue(target, new Map());
+    }
+    /**
+     * Remove a property from a deep target and its respective deep endpoint.
+     *
+     * Removing a key that is required by the schema of the deep target is
+     * handled like writing the deep target without it, see {@link Options.onInvalid}.
+     *
+     * @param target A deep target, i.e. an object value of a deeply registered property.
+     * @param key The property key to remove.
+     *
+     * @return Whether the given target is a deep target and the key existed on it
+     *         and has been removed.
+     */
+    static remove(target, key) {
+        const data = this.#deepTargets.get(target);
+        if (data && (target instanceof Map || target instanceof Set)) {
+            return target.delete(key);
+        }
+        if (!data || !Object.prototype.hasOwnProperty.call(target, key))
+            return false;
+        if (!this.#isDeepTargetWritable(data, key))
+            return false;
+        if (data.owner.schema?.required && !this.#checkRemoval(data.owner, key))
+            return false;
+        const prevVal = this.#peek(() => target[key]);
+        const state = this.#unregister(target, key);
+        delete data.endpoint[key];
+        if (state)
+            this.#notifyRemoval(state, prevVal);
+        return true;
+    }
+    /**
+     * Register a reactive property on or multiple targets. If left unspecified,
+     * target and/or shallow endpoint will be a new object that can be obtained
+     * using the returned data.
+     *
+     * @param key The property name to register.
+     * @param initialValue The initial value that will be assigned after registering.
+     *
+     * @remarks
+     * There is currently no way to make the generics sound (bind value only to
+     * the given keys of a given interface, instead of all values within KV)
+     * since they cannot be optional without a default value.
+     */
+    static register(key, initialValue, config = {}) {
+        const opts = this.#prepareConfig(config);
+        this.#registerGeneric(key, initialValue, opts);
+        return this.#getDataFromConfigs(opts);
+    }
+    /**
+     * Register all property keys and symbols of the given object with their
+     * respective values. If left unspecified, target and/or shallow endpoint
+     * will be a new object that can be obtained using the returned data.
+     *
+     * @param object The object the keys and symbols of will be registered.
+     */
+    static registerFrom(object, config = {}) {
+        const opts = this.#prepareConfig(config);
+        for (const key of Object.keys(object)) {
+            this.#registerGeneric(key, object[key], opts);
+        }
+        for (const symbol of Object.getOwnPropertySymbols(object)) {
+            this.#registerGeneric(symbol, object[symbol], opts);
+        }
+        return this.#getDataFromConfigs(opts);
+    }
+    /**
+     * Same as {@link register} but register properties infinitely deep.
+     * Values (both the initial value and values assigned at a later point in
+     * time) will be recursively traversed and registered, limited by
+     * {@link Options.deepFilter}.
+     *
+     * Shorthand for {@link register} with the the deepest configured
+     * {@link Options.depth} set to `Infinity`.
+     *
+     * @param key The property name to register.
+     * @param initialValue The initial value that will be assigned after registering.
+     */
+    static registerRecursive(key, initialValue, config = {}) {
+        const opts = this.#prepareConfig(config);
+        this.#registerGeneric(key, initialValue, opts, true);
+        return this.#getDataFromConfigs(opts);
+    }
+    /**
+     * Same as {@link registerFrom} but register all properties within the given
+     * object infinitely deep.
+     * Values (both the initial values and values assigned at a later point in
+     * time) will be recursively traversed and registered, limited by
+     * {@link Options.deepFilter}.
+     *
+     * @param object The object the keys and symbols of will be registered.
+     */
+    static registerRecursiveFrom(object, config = {}) {
+        const opts = this.#prepareConfig(config);
+        for (const key of Object.keys(object)) {
+            ReactiveStorage.#registerGeneric(key, object[key], opts, true);
+        }
+        for (const symbol of Object.getOwnPropertySymbols(object)) {
+            ReactiveStorage.#registerGeneric(symbol, object[symbol], opts, true);
+        }
+        return this.#getDataFromConfigs(opts);
+    }
+    // ---- Static helpers ----
+    static #snapshotValue(val, copies) {
+        if (val instanceof Map || val instanceof Set) {
+            if (copies.has(val))
+                return copies.get(val);
+            const copy = val instanceof Map ? new Map() : new Set();
+            copies.set(val, copy);
+            for (const [key, item] of val.entries()) {
+                if (copy instanceof Map)
+                    copy.set(key, this.#snapshotValue(item, copies));
+                else
+                    copy.add(this.#snapshotValue(item, copies));
+            }
+            return copy;
+        }
+        if (!Filter.objectLiteralOrArray(val) && !(val != null && Object.getPrototypeOf(val) === null)) {
+            return val;
+        }
+        if (copies.has(val))
+            return copies.get(val);
+        const copy = Array.isArray(val) ? new Array(val.length) : {};
+        copies.set(val, copy);
+        for (const key of Reflect.ownKeys(val)) {
+            const desc = Object.getOwnPropertyDescriptor(val, key);
+            // Skip `length`, array mutators and the like
+            if (!desc.enumerable && !desc.get)
+                continue;
+            copy[key] = this.#snapshotValue(val[key], copies);
+        }
+        return copy;
+    }
+    /**
+     * Copy the given frozen snapshot along the given key path, replacing the
+     * addressed value with a new frozen snapshot of its current state in
+     * `source`. All other branches are shared.
+     */
+    static #patchSnapshot(snapshot, source, path, i) {
+        const isCopyable = (val) => Filter.objectLiteralOrArray(val) || (val != null && Object.getPrototypeOf(val) === null);
+        if (i === path.length || !isCopyable(snapshot) || !isCopyable(source)
+            || Array.isArray(snapshot) !== Array.isArray(source)) {
+            const value = this.#snapshotValue(source, new Map());
+            // Keep the previous branch if nothing has actually changed
+            return deepEquals(value, snapshot) ? snapshot : deepFreeze(value);
+        }
+        const key = path[i];
+        const exists = Object.prototype.hasOwnProperty.call(source, key);
+        const child = exists ? this.#patchSnapshot(snapshot[key], source[key], path, i + 1) : undefined;
+        if (exists === Object.prototype.hasOwnProperty.call(snapshot, key) && child === snapshot[key]
+            && (!Array.isArray(snapshot) || snapshot.length === source.length)) {
+            return snapshot;
+        }
+        const copy = Array.isArray(snapshot) ? snapshot.slice() : Object.assign(Object.create(Object.getPrototypeOf(snapshot)), snapshot);
+        if (exists)
+            copy[key] = child;
+        else
+            delete copy[key];
+        if (Array.isArray(copy))
+            copy.length = source.length;
+        return Object.freeze(copy);
+    }
+    /**
+     * Normalize a {@link PathPattern} into a key array (numbers become strings),
+     * rejecting the glob keys that only {@link Options.paths} supports.
+     */
+    static #parsePattern(pattern) {
+        const keys = typeof pattern === 'string' ? pattern.split('.') : pattern;
+        return keys.map(key => {
+            if (key === '**' || key === '#') {
+                throw new ReactiveStorageError('INVALID_PATH_PATTERN', `Unsupported key "${key}" in path pattern "${keys.map(String).join('.')}", only "*" is supported`);
+            }
+            return typeof key === 'number' ? String(key) : key;
+        });
+    }
+    static #collectListeners(node, path, i, listeners) {
+        if (i === path.length) {
+            listeners.push(...node.listeners);
+            return;
+        }
+        const key = path[i];
+        const child = node.children.get(typeof key === 'number' ? String(key) : key);
+        if (child)
+            this.#collectListeners(child, path, i + 1, listeners);
+        const wildcard = node.children.get('*');
+        if (wildcard && wildcard !== child)
+            this.#collectListeners(wildcard, path, i + 1, listeners);
+    }
+    static #registerGeneric(key, initialValue, config, recursive = false, ctx) {
+        config.forEach((opts, i) => {
+            const holder = {
+                target: opts.target,
+                endpoint: opts.shallowEndpoint,
+                layer: this.#createLayer(opts, recursive, this.#getDepthOptions(opts, recursive)),
+                // Instance listeners only observe the first layer
+                ctx: i === 0 ? ctx : undefined,
+            };
+            for (const singleKey of Array.isArray(key) ? key : [key]) {
+                this.#register(singleKey, initialValue, holder);
+            }
+        });
+    }
+    /**
+     * Register a single property on the target of the given holder.
+     * @param pathKey Key of the property within its path if it differs from
+     *                its key within the target, like the key of a Map entry.
+     */
+    static #register(key, initialValue, holder, pathKey = key) {
+        const { target } = holder;
+        const state = {
+            layer: holder.layer,
+            holder,
+            key,
+            pathKey,
+            path: undefined,
+            pathEpoch: 0,
+            schema: undefined,
+            current: undefined,
+            ownsCurrent: false,
+            initial: true,
+        };
+        const { paths } = holder.layer.config;
+        const pathOpts = paths && resolvePathOptions(paths, this.#pathOf(state));
+        if (pathOpts) {
+            // The options of matching `paths` are not inherited, except for the depth limit
+            const { layer } = state;
+            state.layer = this.#createLayer(Object.assign({}, layer.config, pathOpts, { depth: layer.config.depth }), layer.recursive, pathOpts.depth === 0 ? undefined : layer.depthOptions);
+            state.layer.children = layer.children;
+        }
+        state.schema = getPropertySchema(state.layer.config.schema, pathKey, this.#collectionHolders.has(target) ? 'any' : Array.isArray(target) && 'index');
+        let states = this.#states.get(target);
+        if (!states) {
+            states = new Map();
+            this.#states.set(target, states);
+        }
+        states.set(typeof key === 'number' ? String(key) : key, state);
+        Object.defineProperty(target, key, this.#createDescriptor(state));
+        this.#markViewStale(holder);
+        if (initialValue !== undefined) {
+            target[key] = initialValue;
+        }
+        state.initial = false;
+    }
+    /**
+     * Resolve the options of a configuration layer into a {@link Layer}.
+     * @param depthOptions Options of the deep layer, see {@link Layer.depthOptions}.
+     */
+    static #createLayer(config, recursive, depthOptions) {
+        return {
+            config,
+            recursive,
+            // These simply discard any potential 'inherit' values
+            depthFilter: (config.depthFilter !== 'inherit' && config.depthFilter) || Filter.objectLiteralOrArray,
+            getter: (config.getter !== 'inherit' && config.getter) || undefined,
+            setter: (config.setter !== 'inherit' && config.setter) || undefined,
+            postSetter: (config.postSetter !== 'inherit' && config.postSetter) || undefined,
+            enumerable: config.enumerable != null ? config.enumerable : true,
+            arrayMutators: !!config.arrayMutators,
+            onInvalid: config.onInvalid || 'throw',
+            onCycle: config.onCycle || 'throw',
+            shareReferences: !!config.shareReferences,
+            lazy: !!config.lazy,
+            reconcile: config.reconcile || false,
+            readonly: config.readonly === true ? 'throw' : config.readonly || false,
+            equals: config.equals === 'shallow' ? shallowEquals
+                : config.equals === 'deep' ? deepEquals
+                    : config.equals || undefined,
+            depthOptions,
+            children: new Map(),
+        };
+    }
+    /**
+     * Compute the options of the deep layer of the given configuration layer,
+     * if any, without the schema of the respective property.
+     */
+    static #getDepthOptions(config, recursive) {
+        if (!config.depth && !recursive)
+            return undefined;
+        let depthOpts;
+        if (typeof config.depth !== 'object') {
+            depthOpts = {};
+            if (recursive) {
+                depthOpts.depth = Infinity;
+            }
+            else if (typeof config.depth === 'number') {
+                depthOpts.depth = config.depth - 1;
+            }
+            // Inherit properties when `config.depth` is set to a number
+            depthOpts.setter ??= config.setter;
+            depthOpts.getter ??= config.getter;
+            depthOpts.postSetter ??= config.postSetter;
+            depthOpts.depthFilter ??= config.depthFilter;
+        }
+        else {
+            depthOpts = Object.assign({}, config.depth);
+            if (depthOpts.target)
+                delete depthOpts.target;
+            if (depthOpts.shallowEndpoint)
+                delete depthOpts.shallowEndpoint;
+            if (depthOpts.setter === 'inherit')
+                depthOpts.setter = config.setter;
+            if (depthOpts.getter === 'inherit')
+                depthOpts.getter = config.getter;
+            if (depthOpts.postSetter === 'inherit')
+                depthOpts.postSetter = config.postSetter;
+            if (depthOpts.depthFilter === 'inherit')
+                depthOpts.depthFilter = config.depthFilter;
+        }
+        // Always inherit `enumerable`, `arrayMutators`, `onInvalid`, `onCycle`,
+        // `shareReferences`, `paths`, `lazy`, `equals`, `reconcile` and `readonly`
+        // unless configured explicitly
+        depthOpts.enumerable ??= config.enumerable;
+        depthOpts.arrayMutators ??= config.arrayMutators;
+        depthOpts.onInvalid ??= config.onInvalid;
+        depthOpts.onCycle ??= config.onCycle;
+        depthOpts.shareReferences ??= config.shareReferences;
+        depthOpts.paths ??= config.paths;
+        depthOpts.lazy ??= config.lazy;
+        depthOpts.equals ??= config.equals;
+        depthOpts.reconcile ??= config.reconcile;
+        depthOpts.readonly ??= config.readonly;
+        return depthOpts;
+    }
+    /** Get the deep layer of a property with the given schema. */
+    static #getChildLayer(layer, schema) {
+        let child = layer.children.get(schema);
+        if (!child) {
+            const config = Object.assign({}, layer.depthOptions);
+            // A deep layer is described by the schema of its property
+            config.schema ??= schema;
+            child = this.#createLayer(config, layer.recursive, this.#getDepthOptions(config, layer.recursive));
+            layer.children.set(schema, child);
+        }
+        return child;
+    }
+    /**
+     * Create the accessor descriptor of a property, bound to its state so that
+     * accessing it needs no lookup and keeps working when copied to another object.
+     */
+    static #createDescriptor(state) {
+        return {
+            configurable: true,
+            enumerable: state.layer.enumerable,
+            get: () => this.#get(state),
+            set: (val) => this.#assign(state, val),
+        };
+    }
+    /** Write a value to a property, flushing the changes of its instance afterwards. */
+    static #assign(state, val) {
+        const { ctx } = state.holder;
+        if (ctx)
+            ctx.#write(() => this.#set(state, val));
+        else
+            this.#set(state, val);
+    }
+    /** Make all properties registered on the given target write to the given endpoint. */
+    static #relink(target, endpoint) {
+        for (const state of this.#states.get(target)?.values() ?? []) {
+            state.holder.endpoint = endpoint;
+        }
+    }
+    /**
+     * Remove a registered property from the given target (but not its endpoint).
+     *
+     * @return The state of the removed property, if any.
+     */
+    static #unregister(target, key) {
+        delete target[key];
+        const states = this.#states.get(target);
+        const normalizedKey = typeof key === 'number' ? String(key) : key;
+        const state = states?.get(normalizedKey);
+        states?.delete(normalizedKey);
+        if (state)
+            this.#markViewStale(state.holder);
+        return state;
+    }
+    /**
+     * Get the key path of a property, building it on first use and whenever
+     * any deep target has been moved to another owner since.
+     */
+    static #pathOf(state) {
+        const { owner } = state.holder;
+        if (!owner)
+            return state.path ??= [state.pathKey];
+        if (!state.path || state.pathEpoch !== this.#moves) {
+            state.path = [...this.#pathOf(owner), state.pathKey];
+            state.pathEpoch = this.#moves;
+        }
+        return state.path;
+    }
+    /** Get the current value of a property. */
+    static #getValue(state) {
+        const { current } = state;
+        if (!current)
+            return state.holder.endpoint[state.key];
+        return this.#pendingCount > 0 ? this.#materialize(current) : current;
+    }
+    /**
+     * Get the current value of a property without registering lazy keys.
+     * A pending lazy deep target is represented by its source.
+     */
+    static #peekValue(state) {
+        const { current } = state;
+        return current && !this.#pending.has(current) ? current : state.holder.endpoint[state.key];
+    }
+    static #get(state) {
+        if (this.#peeking > 0)
+            return this.#peekValue(state);
+        const { ctx } = state.holder;
+        if (ctx && ctx.#tracker)
+            ctx.#tracker(this.#pathOf(state));
+        // Request the value only exactly once!
+        const val = this.#getValue(state);
+        return state.layer.getter?.({ val, path: this.#pathOf(state) }) ?? val;
+    }
+    static #set(state, val) {
+        const { layer, holder, initial } = state;
+        const { ctx, endpoint } = holder;
+        const replace = this.#replace;
+        const prevSnapshot = this.#prevSnapshot;
+        this.#replace = false;
+        this.#prevSnapshot = undefined;
+        if (!initial && !this.#isWritable(layer.readonly, ctx, () => this.#pathOf(state)))
+            return;
+        const moved = this.#moving?.holder === holder ? this.#moving.items.get(val) : undefined;
+        if (moved) {
+            // An array item is moved to another index as is
+            this.#moving.items.delete(val);
+            const prevVal = this.#getValue(state);
+            if (!layer.setter?.({
+                val: moved.val,
+                prevVal,
+                initial,
+                path: this.#pathOf(state),
+                set: newVal => endpoint[state.key] = newVal,
+            })) {
+                endpoint[state.key] = moved.val;
+            }
+            state.current = val;
+            state.ownsCurrent = moved.owned;
+            if (moved.owned) {
+                this.#deepTargets.get(val).owner = state;
+                this.#moves++;
+            }
+            this.#notify(state, moved.val, prevVal);
+            return;
+        }
+        const { schema } = state;
+        if (schema && this.#validated === 0) {
+            const checked = this.#checkSchema(state, schema, val);
+            if (!checked)
+                return;
+            val = checked.val;
+        }
+        // Reassigning a deep target itself is always a no-op when reconciling
+        const reconciles = !!layer.reconcile && !initial && !replace;
+        const equals = layer.equals || (reconciles ? Object.is : undefined);
+        if (equals && !initial && this.#peek(() => equals(val, this.#peekValue(state)))) {
+            return;
+        }
+        // Reuse the current deep target if the new value has the same shape
+        const { current } = state;
+        let reconciled;
+        if (reconciles && state.ownsCurrent && current && !this.#pending.has(current)
+            && Filter.objectLiteralOrArray(current) && Filter.objectLiteralOrArray(val)
+            && Array.isArray(current) === Array.isArray(val) && layer.depthFilter(val, this.#pathOf(state))) {
+            if (this.#peek(() => deepEquals(val, current)))
+                return;
+            reconciled = current;
+        }
+        const deep = !!layer.depthOptions;
+        const isCycle = deep && typeof val === 'object' && val !== null && this.#isAncestor(state, val);
+        if (layer.onCycle === 'throw' && isCycle && layer.depthFilter(val, this.#pathOf(state))) {
+            throw new ReactiveStorageError('CIRCULAR_REFERENCE', `Circular reference at "${this.#pathOf(state).map(String).join('.')}"`);
+        }
+        // Lazy deep values are checked for cycles as a whole on assignment
+        // (which includes the lazy deep values nested within them)
+        if (layer.lazy && deep && this.#materializing === 0 && typeof val === 'object' && val !== null
+            && !isCycle && layer.depthFilter(val, this.#pathOf(state))) {
+            this.#assertAcyclic(val, this.#getChildLayer(layer, schema), this.#pathOf(state), new Set([...this.#ancestors, ...this.#parentTargets(state), val]), new Set());
+        }
+        // The reconciled deep target is modified in place, so pass a copy
+        const prevVal = !reconciled ? this.#getValue(state)
+            : prevSnapshot ? prevSnapshot.val
+                : this.#peek(() => this.#snapshotValue(reconciled, new Map()));
+        if (this.#adopting) {
+            // Values of the layer are already present at its endpoint
+            if (holder.owner)
+                endpoint[state.key] = val;
+        }
+        else if (!layer.setter?.({
+            val,
+            prevVal,
+            initial,
+            path: this.#pathOf(state),
+            set: newVal => endpoint[state.key] = newVal,
+        })) {
+            endpoint[state.key] = val;
+        }
+        if (reconciled) {
+            const sources = this.#sources || new Map();
+            const { reconcile } = layer;
+            this.#registerDeep([...this.#ancestors, val], sources, this.#validatesDepth(state), () => {
+                this.#reconcile(reconciled, val, prevVal, typeof reconcile === 'object' ? reconcile.key : undefined);
+            });
+            this.#notify(state, val, prevVal);
+            return;
+        }
+        // A deep target of a parent is linked as is
+        const linked = deep && (isCycle ? layer.onCycle === 'link' : layer.shareReferences)
+            ? this.#sources?.get(val) ?? (isCycle ? val : undefined)
+            : undefined;
+        const prevCurrent = state.current;
+        const prevOwnsCurrent = state.ownsCurrent;
+        state.current = undefined;
+        state.ownsCurrent = false;
+        if (linked) {
+            state.current = linked;
+        }
+        else if (deep && !isCycle && typeof val === 'object' && val !== null && layer.depthFilter(val, this.#pathOf(state))) {
+            // Entries of Maps and Sets are registered on an internal holder
+            // while the exposed deep target is a collection reading from it
+            const collection = val instanceof Map ? new Map() : val instanceof Set ? new Set() : undefined;
+            const data = {
+                target: (Array.isArray(val) ? [] : {}),
+                endpoint: {},
+                layer: this.#getChildLayer(layer, schema),
+                ctx,
+                owner: state,
+            };
+            // We don't need to save the deep target anywhere
+            // because it is exposed via the property state
+            const deepTarget = collection || data.target;
+            state.current = deepTarget;
+            state.ownsCurrent = true;
+            const sources = this.#sources || new Map();
+            sources.set(val, deepTarget);
+            // Lazily registered keys are taken from the value at the time of assignment
+            const source = !layer.lazy ? val
+                : collection ? (val instanceof Map ? new Map(val) : new Set(val))
+                    : Object.assign(Array.isArray(val) ? [] : {}, val);
+            const registerDeep = this.#registerDeep.bind(this, [...this.#ancestors, val], sources, this.#validatesDepth(state), () => {
+                if (collection) {
+                    this.#defineCollection(collection, source, data, this.#createMutationNotifier(state));
+                }
+                else {
+                    for (const propKey of Object.keys(source)) {
+                        this.#register(propKey, source[propKey], data);
+                    }
+                    for (const symbol of Object.getOwnPropertySymbols(source)) {
+                        this.#register(symbol, source[symbol], data);
+                    }
+                }
+            });
+            if (layer.lazy) {
+                // Register the keys on first read
+                this.#pending.set(deepTarget, registerDeep);
+                this.#pendingCount++;
+            }
+            else {
+                // Nested writes already see the new deep target,
+                // but it must not stay exposed if registering fails
+                try {
+                    registerDeep();
+                }
+                catch (err) {
+                    state.current = prevCurrent;
+                    state.ownsCurrent = prevOwnsCurrent;
+                    throw err;
+                }
+            }
+            this.#deepTargets.set(deepTarget, data);
+            if (layer.arrayMutators && Array.isArray(deepTarget)) {
+                this.#defineArrayMutators(data, this.#createMutationNotifier(state));
+            }
+        }
+        if (!this.#adopting)
+            this.#notify(state, val, prevVal);
+    }
+    /**
+     * Whether assigning the given object to a property creates a cycle, i.e.
+     * whether it is a source object of the deep assignment currently being
+     * registered or the deep target of the property's parent or any ancestor.
+     */
+    static #isAncestor(state, val) {
+        if (this.#ancestors.has(val))
+            return true;
+        for (let owner = state.holder.owner; owner; owner = owner.holder.owner) {
+            if (owner.current === val)
+                return true;
+        }
+        return false;
+    }
+    /** Get the deep targets of the parent of a property and all of its ancestors. */
+    static #parentTargets(state) {
+        const targets = [];
+        for (let owner = state.holder.owner; owner; owner = owner.holder.owner) {
+            if (owner.current)
+                targets.push(owner.current);
+        }
+        return targets;
+    }
+    /**
+     * Validate a value that is about to be written to a property against its
+     * schema, handling a violation as per {@link Options.onInvalid}.
+     * Values are read without invoking any getters.
+     * @return The (possibly replaced) value to write or nothing if the write
+     *         should be ignored.
+     */
+    static #checkSchema(state, schema, val) {
+        const path = this.#pathOf(state);
+        const error = this.#peek(() => validateSchema(schema, val, path));
+        if (!error)
+            return { val };
+        const { onInvalid } = state.layer;
+        if (onInvalid === 'coerce') {
+            val = this.#peek(() => coerceSchema(schema, val));
+            return this.#peek(() => validateSchema(schema, val, path)) ? undefined : { val };
+        }
+        if (onInvalid === 'throw') {
+            throw new ReactiveStorageError('SCHEMA_VIOLATION', `Invalid value at "${error.path.map(String).join('.')}": ${error.reason}`);
+        }
+        let replaced;
+        if (typeof onInvalid === 'function') {
+            onInvalid({
+                val,
+                path,
+                invalidPath: error.path,
+                reason: error.reason,
+                set: newVal => {
+                    replaced = { val: newVal };
+                }
+            });
+        }
+        return replaced;
+    }
+    /**
+     * Check the removal of a key from the deep target of a property against the
+     * required keys of its schema. A violation is handled like an invalid write
+     * of the property's value without the key (see {@link Options.onInvalid}),
+     * so a replacing value is assigned to the property instead.
+     * @return Whether the key can be removed.
+     */
+    static #checkRemoval(owner, key) {
+        const schema = owner.schema;
+        if (!schema.required.includes(key))
+            return true;
+        const val = this.#peek(() => this.#snapshotValue(owner.current, new Map()));
+        delete val[key];
+        const checked = this.#checkSchema(owner, schema, val);
+        if (checked)
+            this.#assign(owner, checked.val);
+        return false;
+    }
+    /**
+     * Whether the nested values of a property's value have already been
+     * validated as part of it since its deep layer uses the same schema.
+     */
+    static #validatesDepth(state) {
+        return !!state.schema && state.layer.depthOptions != null
+            && this.#getChildLayer(state.layer, state.schema).config.schema === state.schema;
+    }
+    /** Notify the postSetter or instance of a property about a committed change. */
+    static #notify(state, val, prevVal, mutation) {
+        const { ctx } = state.holder;
+        const { postSetter } = state.layer;
+        if (!ctx && !postSetter)
+            return;
+        const event = { val, prevVal, initial: state.initial, path: this.#pathOf(state) };
+        if (mutation)
+            event.mutation = mutation;
+        if (ctx)
+            ctx.#commit(event, postSetter);
+        else
+            postSetter(event);
+    }
+    /** Notify the removal of a property after it has been unregistered. */
+    static #notifyRemoval(state, prevVal) {
+        const { ctx } = state.holder;
+        const { postSetter } = state.layer;
+        if (!ctx && !postSetter)
+            return;
+        const event = {
+            val: undefined, prevVal, initial: false, path: this.#pathOf(state), removed: true,
+        };
+        if (ctx)
+            ctx.#write(() => ctx.#commit(event, postSetter, true));
+        else
+            postSetter(event);
+    }
+    /**
+     * Create the function that in-place mutations of the deep array or
+     * collection of a property go through, see {@link ReactiveStorage.#defineArrayMutators}.
+     */
+    static #createMutationNotifier(state) {
+        const mutate = (mutation, prevVal, apply, items) => {
+            const { layer, schema } = state;
+            if (!this.#isWritable(layer.readonly, state.holder.ctx, () => this.#pathOf(state)))
+                return;
+            // The new items of an array are validated as a whole before applying any of them
+            let validated = false;
+            if (items && schema && this.#validated === 0) {
+                const checked = this.#checkSchema(state, schema, items);
+                if (!checked || !Array.isArray(checked.val))
+                    return;
+                items = checked.val;
+                validated = this.#validatesDepth(state);
+            }
+            const val = this.#getValue(state);
+            if (!layer.setter?.({
+                val,
+                prevVal,
+                initial: false,
+                path: this.#pathOf(state),
+                set: newVal => state.holder.endpoint[state.key] = newVal,
+                mutation,
+            })) {
+                if (validated)
+                    this.#validated++;
+                try {
+                    apply(items);
+                }
+                finally {
+                    if (validated)
+                        this.#validated--;
+                }
+            }
+            this.#notify(state, val, prevVal, mutation);
+        };
+        const { ctx } = state.holder;
+        return ctx
+            ? ((mutation, prevVal, apply, items) => {
+                ctx.#write(() => mutate(mutation, prevVal, apply, items));
+            })
+            : mutate;
+    }
+    /**
+     * Define the mutating array methods (see {@link ArrayMutatorName}) as
+     * non-enumerable properties on the given deep array target.
+     *
+     * Every call first computes the mutation on a shallow copy of the array's
+     * current raw items (as returned by {@link ReactiveStorage.#arrayItems})
+     * and hands it to `notify` which validates the new items and decides
+     * whether to apply them. Applying them writes all changed indices through
+     * their accessors, registers new indices and unregisters removed ones.
+     * Only the comparator of `sort` and the returned items see the values as
+     * read through the getter.
+     * @internal
+     */
+    static #defineArrayMutators(data, notify) {
+        const target = data.target;
+        for (const method of ARRAY_MUTATORS) {
+            Object.defineProperty(target, method, {
+                configurable: true,
+                enumerable: false,
+                writable: true,
+                value: (...args) => {
+                    const prevVal = this.#arrayItems(data);
+                    let items = prevVal.slice();
+                    let result;
+                    if (method === 'sort') {
+                        result = items = this.#sortItems(items, Array.from(target), args[0]);
+                    }
+                    else {
+                        // Removed items are returned as read
+                        const returnsItems = method === 'pop' || method === 'shift' || method === 'splice';
+                        result = Array.prototype[method].apply(items, args);
+                        if (returnsItems)
+                            result = Array.prototype[method].apply(Array.from(target), args);
+                    }
+                    let applied = false;
+                    notify({ method, args }, prevVal, (newItems = items) => {
+                        applied = true;
+                        this.#writeArrayItems(data, prevVal, newItems);
+                    }, items);
+                    if (!applied) {
+                        switch (method) {
+                            case 'push':
+                            case 'unshift': return target.length;
+                            case 'pop':
+                            case 'shift': return undefined;
+                            case 'splice': return [];
+                        }
+                    }
+                    // Methods that return the array itself should return the target
+                    return result === items ? target : result;
+                },
+            });
+        }
+    }
+    /**
+     * Check whether a property may be written to as per the given
+     * {@link Options.readonly} mode and the frozen state of the instance,
+     * throwing in case of the `throw` mode or a frozen instance.
+     */
+    static #isWritable(readonly, ctx, getPath) {
+        if (ctx && ctx.#frozen) {
+            throw new ReactiveStorageError('READONLY', `Cannot write to "${getPath().map(String).join('.')}" of a frozen storage`);
+        }
+        if (readonly === 'throw') {
+            throw new ReactiveStorageError('READONLY', `Cannot write to read-only property "${getPath().map(String).join('.')}"`);
+        }
+        return !readonly;
+    }
+    /** {@link ReactiveStorage.#isWritable} for adding or removing keys of a deep target. */
+    static #isDeepTargetWritable(data, key) {
+        return this.#isWritable(data.layer.readonly, data.ctx, () => [...this.#pathOf(data.owner), key]);
+    }
+    /**
+     * Call the given function while reading any registered property returns
+     * its current value without invoking callbacks or registering lazy keys.
+     */
+    static #peek(fn) {
+        this.#peeking++;
+        try {
+            return fn();
+        }
+        finally {
+            this.#peeking--;
+        }
+    }
+    /** Register the keys of the given lazy deep target if still pending. */
+    static #materialize(deepTarget) {
+        const register = this.#pending.get(deepTarget);
+        if (register) {
+            this.#pending.delete(deepTarget);
+            this.#pendingCount--;
+            this.#materializing++;
+            try {
+                register();
+            }
+            finally {
+                this.#materializing--;
+            }
+        }
+        return deepTarget;
+    }
+    /**
+     * Walk all values that would be registered deeply within `val` and throw
+     * on the first cycle that eager registration would throw on as well.
+     * @param layer The layer the keys of `val` are registered with.
+     * @param stack `val` and its ancestors.
+     * @param done Values that have already been walked completely.
+     */
+    static #assertAcyclic(val, layer, path, stack, done) {
+        if (!layer.depthOptions)
+            return;
+        const items = val instanceof Map || val instanceof Set ? 'any' : Array.isArray(val) && 'index';
+        for (const [key, item] of getEntries(val)) {
+            if (item == null || typeof item !== 'object' || done.has(item))
+                continue;
+            const itemPath = [...path, key];
+            if (!layer.depthFilter(item, itemPath))
+                continue;
+            if (stack.has(item)) {
+                if (layer.onCycle !== 'throw')
+                    continue;
+                throw new ReactiveStorageError('CIRCULAR_REFERENCE', `Circular reference at "${itemPath.map(String).join('.')}"`);
+            }
+            stack.add(item);
+            const schema = getPropertySchema(layer.config.schema, key, items);
+            this.#assertAcyclic(item, this.#getChildLayer(layer, schema), itemPath, stack, done);
+            stack.delete(item);
+            done.add(item);
+        }
+    }
+    /**
+     * Register the keys of a deep value via `register`, with the given
+     * ancestors and deep targets of the surrounding assignment in place.
+     * @internal
+     */
+    static #registerDeep(ancestors, sources, validated, register) {
+        const prevAncestors = this.#ancestors;
+        const prevSources = this.#sources;
+        this.#ancestors = new Set(ancestors);
+        this.#sources = sources;
+        if (validated)
+            this.#validated++;
+        try {
+            register();
+        }
+        finally {
+            this.#ancestors = prevAncestors;
+            this.#sources = prevSources;
+            if (validated)
+                this.#validated--;
+        }
+    }
+    /**
+     * Update the given deep target in place to match `val` (see
+     * {@link Options.reconcile}): Missing keys are removed, new keys are
+     * registered and existing keys are assigned, reconciling them in turn.
+     * Removed keys are notified like {@link ReactiveStorage.remove}.
+     * @param prev Snapshot of the deep target before the reconciliation.
+     * @param key Key function of array items. Items are matched by their key,
+     *            unmatched items with a different key are replaced.
+     * @internal
+     */
+    static #reconcile(target, val, prev, key) {
+        const data = this.#deepTargets.get(target);
+        const record = target;
+        const assign = (propKey) => {
+            this.#prevSnapshot = { val: prev[propKey] };
+            try {
+                record[propKey] = val[propKey];
+            }
+            finally {
+                this.#prevSnapshot = undefined;
+            }
+        };
+        const remove = (propKey) => {
+            const state = this.#unregister(target, propKey);
+            delete data.endpoint[propKey];
+            if (state)
+                this.#notifyRemoval(state, prev[propKey]);
+        };
+        if (Array.isArray(target)) {
+            const prevItems = this.#peek(() => Array.from(target));
+            const sourceIndices = key ? this.#moveKeyedItems(data, prevItems, val, key) : new Map();
+            for (let i = 0; i < val.length; i++) {
+                const source = sourceIndices.get(i);
+                if (source !== undefined) {
+                    // The moved item is reconciled in place
+                    this.#prevSnapshot = { val: prev[source] };
+                    try {
+                        record[i] = val[i];
+                    }
+                    finally {
+                        this.#prevSnapshot = undefined;
+                    }
+                    continue;
+                }
+                if (i >= prevItems.length) {
+                    this.#register(String(i), val[i], data);
+                    continue;
+                }
+                if (key && !this.#peek(() => Object.is(key(prevItems[i], i), key(val[i], i)))) {
+                    this.#replace = true;
+                }
+                assign(i);
+            }
+            target.length = val.length;
+            for (let i = val.length; i < prevItems.length; i++) {
+                remove(i);
+            }
+        }
+        else {
+            for (const propKey of getOwnKeys(target)) {
+                if (!Object.prototype.hasOwnProperty.call(val, propKey)) {
+                    remove(propKey);
+                }
+            }
+            for (const propKey of [...Object.keys(val), ...Object.getOwnPropertySymbols(val)]) {
+                if (Object.prototype.hasOwnProperty.call(target, propKey)) {
+                    assign(propKey);
+                }
+                else {
+                    this.#register(propKey, val[propKey], data);
+                }
+            }
+        }
+    }
+    /**
+     * Move the deep targets of a reconciled array to the indices of the items of
+     * `val` with the same key, keeping their identity.
+     * @return New index → previous index of every moved item.
+     * @internal
+     */
+    static #moveKeyedItems(data, prevItems, val, key) {
+        const target = data.target;
+        const states = this.#states.get(target);
+        /** Key → previous index of every owned deep target. */
+        const indices = new Map();
+        this.#peek(() => {
+            for (let i = 0; i < prevItems.length; i++) {
+                const itemKey = key(prevItems[i], i);
+                if (states.get(String(i)).ownsCurrent && !indices.has(itemKey))
+                    indices.set(itemKey, i);
+            }
+        });
+        const sourceIndices = new Map();
+        this.#peek(() => {
+            for (let i = 0; i < val.length; i++) {
+                const itemKey = key(val[i], i);
+                const source = indices.get(itemKey);
+                if (source === undefined)
+                    continue;
+                indices.delete(itemKey);
+                if (source !== i)
+                    sourceIndices.set(i, source);
+            }
+        });
+        if (sourceIndices.size === 0)
+            return sourceIndices;
+        const movable = new Map();
+        for (const source of sourceIndices.values()) {
+            movable.set(prevItems[source], { val: data.endpoint[source], owned: true });
+        }
+        const prevMoving = this.#moving;
+        this.#moving = { holder: data, items: movable };
+        try {
+            for (const [i, source] of sourceIndices) {
+                if (i >= prevItems.length) {
+                    this.#register(String(i), prevItems[source], data);
                 }
                 else {
-                    getter = () => endpoint[key];
+                    target[i] = prevItems[source];
+                }
+            }
+        }
+        finally {
+            this.#moving = prevMoving;
+        }
+        // Indices whose deep target has been moved away receive a new one
+        for (const source of sourceIndices.values()) {
+            const state = states.get(String(source));
+            if (this.#deepTargets.get(state.current)?.owner !== state)
+                state.ownsCurrent = false;
+        }
+        return sourceIndices;
+    }
+    /**
+     * Make the given empty Map or Set a deep target whose entries are registered
+     * (with the path of their key) on the internal target of `data`, and
+     * register the entries of `source`. Structural mutations go through `notify`.
+     * @internal
+     */
+    static #defineCollection(collection, source, data, notify) {
+        const holder = data.target;
+        const isMap = collection instanceof Map;
+        /** Collection key (the added value in case of a Set) → holder key. */
+        const slots = new Map();
+        let nextSlot = 0;
+        this.#collectionHolders.add(holder);
+        const add = (key, val) => {
+            const slot = String(nextSlot++);
+            slots.set(key, slot);
+            this.#register(slot, val, data, key);
+        };
+        const remove = (key) => {
+            const slot = slots.get(key);
+            slots.delete(key);
+            this.#unregister(holder, slot);
+            delete data.endpoint[slot];
+        };
+        /** Find the key of an entry, also by its (deep) value in case of a Set. */
+        const find = (key) => {
+            if (slots.has(key) || isMap)
+                return key;
+            for (const [item, slot] of slots) {
+                if (holder[slot] === key)
+                    return item;
+            }
+            return key;
+        };
+        const copy = () => isMap ? new Map(entries()) : new Set(values());
+        function* entries() {
+            for (const [key, slot] of slots)
+                yield [key, holder[slot]];
+        }
+        function* values() {
+            for (const slot of slots.values())
+                yield holder[slot];
+        }
+        function* keys() {
+            if (isMap)
+                yield* slots.keys();
+            else
+                yield* values();
+        }
+        const methods = {
+            has: (key) => slots.has(find(key)),
+            forEach: (callback, thisArg) => {
+                for (const [key, val] of entries()) {
+                    callback.call(thisArg, val, isMap ? key : val, collection);
                 }
-                customPostSetter?.({ val, prevVal, initial, path });
             },
+            keys,
+            values,
+            entries: isMap ? entries : function* () {
+                for (const val of values())
+                    yield [val, val];
+            },
+            delete: (key) => {
+                key = find(key);
+                if (!slots.has(key))
+                    return false;
+                let applied = false;
+                notify({ method: 'delete', args: [key] }, copy(), () => {
+                    applied = true;
+                    remove(key);
+                });
+                return applied;
+            },
+            clear: () => {
+                if (slots.size === 0)
+                    return;
+                notify({ method: 'clear', args: [] }, copy(), () => {
+                    for (const key of Array.from(slots.keys()))
+                        remove(key);
+                });
+            },
+        };
+        if (isMap) {
+            Object.assign(methods, {
+                get: (key) => slots.has(key) ? holder[slots.get(key)] : undefined,
+                set: (key, val) => {
+                    if (slots.has(key)) {
+                        holder[slots.get(key)] = val;
+                    }
+                    else {
+                        notify({ method: 'set', args: [key, val] }, copy(), () => add(key, val));
+                    }
+                    return collection;
+                },
+            });
+        }
+        else {
+            Object.assign(methods, {
+                add: (val) => {
+                    if (!slots.has(find(val))) {
+                        notify({ method: 'add', args: [val] }, copy(), () => add(val, val));
+                    }
+                    return collection;
+                },
+            });
+        }
+        for (const [name, value] of Object.entries(methods)) {
+            Object.defineProperty(collection, name, { configurable: true, enumerable: false, writable: true, value });
+        }
+        Object.defineProperty(collection, Symbol.iterator, {
+            configurable: true, enumerable: false, writable: true, value: isMap ? entries : values
         });
-        if (initialValue !== undefined) {
-            target[key] = initialValue;
+        Object.defineProperty(collection, 'size', {
+            configurable: true, enumerable: false, get: () => slots.size
+        });
+        for (const [key, val] of isMap ? source : Array.from(source, item => [item, item])) {
+            add(key, val);
+        }
+    }
+    /**
+     * Get the current items of a deep array target without invoking any
+     * getters, i.e. the deep target or else the endpoint value of every index.
+     */
+    static #arrayItems(data) {
+        const states = this.#states.get(data.target);
+        return Array.from({ length: data.target.length }, (_, i) => {
+            return states.get(String(i)).current || data.endpoint[i];
+        });
+    }
+    /**
+     * Sort the given raw items like `Array.prototype.sort`, comparing the
+     * respective `readItems` (i.e. the items as read through the getter).
+     */
+    static #sortItems(items, readItems, compare) {
+        if (compare !== undefined && typeof compare !== 'function') {
+            throw new TypeError('The comparison function must be either a function or undefined');
+        }
+        const order = Array.from(items, (_, i) => i).sort((a, b) => {
+            const valA = readItems[a];
+            const valB = readItems[b];
+            // Just like natively, `undefined` is always sorted to the end
+            if (valA === undefined || valB === undefined) {
+                return (valA === undefined ? 1 : 0) - (valB === undefined ? 1 : 0);
+            }
+            if (compare)
+                return compare(valA, valB);
+            const strA = String(valA);
+            const strB = String(valB);
+            return strA < strB ? -1 : strA > strB ? 1 : 0;
+        });
+        return order.map(i => items[i]);
+    }
+    /**
+     * Write the given items into a deep array target whose current items are
+     * `prevItems` (see {@link ReactiveStorage.#arrayItems}), assigning all
+     * changed indices through their accessors, registering new indices and
+     * unregistering removed ones.
+     *
+     * Deep targets that leave their index are moved to their (first) new index,
+     * keeping their identity. Any that stay at their index as well are copied.
+     * @internal
+     */
+    static #writeArrayItems(data, prevItems, items) {
+        const target = data.target;
+        const states = this.#states.get(target);
+        const currents = new Set();
+        const movable = new Map();
+        for (let i = 0; i < prevItems.length; i++) {
+            const { current, ownsCurrent } = states.get(String(i));
+            if (!current)
+                continue;
+            currents.add(current);
+            if (items[i] !== current)
+                movable.set(current, { val: data.endpoint[i], owned: ownsCurrent });
+        }
+        const prevMoving = this.#moving;
+        this.#moving = { holder: data, items: movable };
+        try {
+            for (let i = 0; i < items.length; i++) {
+                let item = items[i];
+                if (i < prevItems.length && item === prevItems[i])
+                    continue;
+                if (currents.has(item) && !movable.has(item)) {
+                    item = this.#peek(() => this.#snapshotValue(item, new Map()));
+                }
+                if (i >= prevItems.length) {
+                    this.#register(String(i), item, data);
+                }
+                else {
+                    target[i] = item;
+                }
+            }
+        }
+        finally {
+            this.#moving = prevMoving;
         }
-        initial = false;
+        for (let i = items.length; i < prevItems.length; i++) {
+            this.#unregister(target, i);
+            delete data.endpoint[i];
+        }
+        target.length = items.length;
     }
     /**
      * Prepare a passed config such that missing endpoints and targets are filled
      * with an empty object and multiple configurations are sequentially linked
      * together into a definition chain by their targets and endpoints. Every
      * config is shallowly cloned.
+     * @param isInstance Whether the config is passed to the constructor, such
+     *                   that its first layer may contain instance options.
      * @internal
      */
-    static #prepareConfig(config) {
+    static #prepareConfig(config, isInstance = false) {
         if (Array.isArray(config)) {
+            if (config.length === 0) {
+                throw new ReactiveStorageError('EMPTY_CONFIG_CHAIN', "The definition chain needs to contain at least one configuration.", 'config');
+            }
+            config.forEach((layer, i) => {
+                this.#validateConfig(layer, `config[${i}]`, isInstance && i === 0 ? 'first' : 'chain');
+            });
             for (let i = config.length - 1; i >= 0; i--) {
                 config[i] = Object.assign({ target: {} }, config[i]);
                 if (i > 0) {
@@ -272,6 +3348,7 @@ export class ReactiveStorage {
             return config;
         }
         else {
+            this.#validateConfig(config, 'config', isInstance ? 'first' : 'chain');
             return [
                 Object.assign({
                     target: {},
@@ -280,6 +3357,176 @@ export class ReactiveStorage {
             ];
         }
     }
+    /** Validate the options of the first layer that are exclusive to instances. */
+    static #validateInstanceConfig(config, layer) {
+        const { batch, history, persist, eventTarget } = config;
+        if (batch !== undefined && batch !== 'sync' && batch !== 'microtask') {
+            throw new ReactiveStorageError('INVALID_OPTION', "`batch` needs to be 'sync' or 'microtask'.", layer);
+        }
+        if (history !== undefined && typeof history !== 'boolean') {
+            if (history == null || typeof history !== 'object'
+                || (history.maxSize !== undefined && !(history.maxSize >= 0))) {
+                throw new ReactiveStorageError('INVALID_OPTION', "`history` needs to be a boolean or an object with a non-negative `maxSize`.", layer);
+            }
+        }
+        if (persist !== undefined) {
+            const adapter = persist && 'adapter' in persist ? persist.adapter : persist;
+            if (adapter == null || typeof adapter.load !== 'function' || typeof adapter.save !== 'function') {
+                throw new ReactiveStorageError('INVALID_OPTION', "`persist` needs to be an adapter with a `load` and a `save` function or an object containing one as `adapter`.", layer);
+            }
+        }
+        if (eventTarget !== undefined) {
+            if (eventTarget == null || typeof eventTarget.dispatchEvent !== 'function') {
+                throw new ReactiveStorageError('INVALID_OPTION', "`eventTarget` needs to be an object with a `dispatchEvent` function.", layer);
+            }
+            if (typeof globalThis.CustomEvent !== 'function') {
+                throw new ReactiveStorageError('UNSUPPORTED_ENVIRONMENT', "`CustomEvent` is not available in this environment.", layer);
+            }
+        }
+    }
+    /**
+     * Validate a single configuration layer and its nested {@link Options.depth}
+     * configurations, throwing a {@link ReactiveStorageError} that names the
+     * offending layer.
+     * @param kind `first` for the first layer passed to the constructor, `chain`
+     *             for any other layer and `depth` for a depth configuration.
+     */
+    static #validateConfig(config, layer, kind) {
+        if (config == null || typeof config !== 'object' || Array.isArray(config)) {
+            throw new ReactiveStorageError('INVALID_CONFIG_LAYER', "Expected a configuration object.", layer);
+        }
+        const invalid = (key, expected) => {
+            return new ReactiveStorageError('INVALID_OPTION', `\`${key}\` needs to be ${expected}.`, layer);
+        };
+        const isObject = (val) => val != null && typeof val === 'object';
+        // `false` and `null` explicitly disable an otherwise inherited callback,
+        // while 'inherit' has nothing to inherit from outside of `depth` and is ignored
+        const isFunctionOrInherit = (val) => {
+            return typeof val === 'function' || val === false || val === null || val === 'inherit';
+        };
+        for (const [key, val] of Object.entries(config)) {
+            if (val === undefined)
+                continue;
+            switch (key) {
+                case 'target':
+                case 'shallowEndpoint':
+                    if (kind === 'depth') {
+                        throw new ReactiveStorageError('MISPLACED_OPTION', `\`${key}\` cannot be used within \`depth\` since deep targets and endpoints are created for every deep value.`, layer);
+                    }
+                    if (!isObject(val))
+                        throw invalid(key, 'an object');
+                    break;
+                case 'batch':
+                case 'history':
+                case 'persist':
+                case 'eventTarget':
+                    if (kind !== 'first') {
+                        throw new ReactiveStorageError('MISPLACED_OPTION', `\`${key}\` only has an effect in the first configuration passed to the constructor.`, layer);
+                    }
+                    break;
+                case 'depthFilter':
+                case 'postSetter':
+                case 'setter':
+                case 'getter':
+                    if (!isFunctionOrInherit(val)) {
+                        throw invalid(key, "a function or 'inherit'");
+                    }
+                    break;
+                case 'enumerable':
+                case 'arrayMutators':
+                    if (typeof val !== 'boolean')
+                        throw invalid(key, 'a boolean');
+                    break;
+                case 'depth':
+                    if (typeof val === 'number') {
+                        if (!(val >= 0))
+                            throw invalid(key, 'a non-negative number or a configuration object');
+                    }
+                    else if (isObject(val) && !Array.isArray(val)) {
+                        this.#validateConfig(val, `${layer}.depth`, 'depth');
+                    }
+                    else {
+                        throw invalid(key, 'a non-negative number or a configuration object');
+                    }
+                    break;
+                case 'schema':
+                    if (!isObject(val))
+                        throw invalid(key, 'a schema object');
+                    break;
+                case 'onInvalid':
+                    if (typeof val !== 'function' && val !== 'throw' && val !== 'ignore' && val !== 'coerce') {
+                        throw invalid(key, "'throw', 'ignore', 'coerce' or a function");
+                    }
+                    break;
+                case 'onCycle':
+                    if (val !== 'throw' && val !== 'stop' && val !== 'link') {
+                        throw invalid(key, "'throw', 'stop' or 'link'");
+                    }
+                    break;
+                case 'equals':
+                    if (val !== false && val !== 'shallow' && val !== 'deep' && typeof val !== 'function') {
+                        throw invalid(key, "false, 'shallow', 'deep' or a function");
+                    }
+                    break;
+                case 'reconcile':
+                    if (typeof val !== 'boolean' && (!isObject(val) || typeof val.key !== 'function')) {
+                        throw invalid(key, 'a boolean or an object with a `key` function');
+                    }
+                    break;
+                case 'readonly':
+                    if (typeof val !== 'boolean' && val !== 'throw' && val !== 'silent') {
+                        throw invalid(key, "a boolean, 'throw' or 'silent'");
+                    }
+                    break;
+                case 'shareReferences':
+                case 'lazy':
+                    if (typeof val !== 'boolean')
+                        throw invalid(key, 'a boolean');
+                    break;
+                case 'paths':
+                    if (!isObject(val))
+                        throw invalid(key, 'an object');
+                    for (const [pattern, opts] of Object.entries(val)) {
+                        this.#validatePathOptions(opts, `${layer}.paths[${JSON.stringify(pattern)}]`);
+                    }
+                    break;
+                default:
+                    throw new ReactiveStorageError('UNKNOWN_OPTION', `Unknown option \`${key}\`.`, layer);
+            }
+        }
+    }
+    /** Validate the options of a single {@link Options.paths} pattern. */
+    static #validatePathOptions(opts, layer) {
+        if (opts == null || typeof opts !== 'object' || Array.isArray(opts)) {
+            throw new ReactiveStorageError('INVALID_CONFIG_LAYER', "Expected a configuration object.", layer);
+        }
+        for (const [key, val] of Object.entries(opts)) {
+            if (val === undefined)
+                continue;
+            switch (key) {
+                case 'depthFilter':
+                case 'postSetter':
+                case 'setter':
+                case 'getter':
+                    if (typeof val !== 'function' && val !== false && val !== null) {
+                        throw new ReactiveStorageError('INVALID_OPTION', `\`${key}\` needs to be a function.`, layer);
+                    }
+                    break;
+                case 'enumerable':
+                    if (typeof val !== 'boolean') {
+                        throw new ReactiveStorageError('INVALID_OPTION', "`enumerable` needs to be a boolean.", layer);
+                    }
+                    break;
+                case 'depth':
+                    if (typeof val !== 'number' || !(val >= 0)) {
+                        throw new ReactiveStorageError('INVALID_OPTION', "`depth` needs to be a non-negative number.", layer);
+                    }
+                    break;
+                default:
+                    throw new ReactiveStorageError('UNKNOWN_OPTION', `Unknown option \`${key}\`.`, layer);
+            }
+        }
+    }
     static #getDataFromConfigs(config) {
         return {
             shallowEndpoint: config[config.length - 1].shallowEndpoint,
@@ -288,3 +3535,155 @@ export class ReactiveStorage {
         };
     }
 }
+/**
+ * Undo/redo history of a {@link ReactiveStorage} instance, usually created
+ * via {@link Options.history} and exposed via {@link ReactiveStorage#history}.
+ *
+ * Every flush of the instance (see {@link ReactiveStorage#onFlush}) makes up
+ * one entry. This means that a deep reassignment or a batch can be undone as
+ * a whole. Keys that are added to or removed from deep targets and removed
+ * top-level properties are recorded as well, while initial assignments of
+ * registered top-level properties are not.
+ *
+ * Undoing or redoing an entry assigns the respective previous or next values
+ * through the instance's accessors within a single batch, so deep
+ * registration and all callbacks stay consistent.
+ *
+ * @example
+ * ```js
+ * const storage = new ReactiveStorage({ depth: Infinity, history: true });
+ * storage.register('foo', { bar: 1 });
+ *
+ * storage.target.foo.bar = 2;
+ * storage.history.checkpoint('two');
+ * storage.target.foo = { bar: 3 };
+ *
+ * storage.history.undo();
+ * console.log(storage.target.foo.bar) // 2
+ * storage.history.undo();
+ * console.log(storage.target.foo.bar) // 1
+ * storage.history.restore('two');
+ * console.log(storage.target.foo.bar) // 2
+ * ```
+ */
+export class StorageHistory {
+    storage;
+    maxSize;
+    #entries = [];
+    /** Number of currently applied entries. */
+    #index = 0;
+    #nextId = 1;
+    /** ID of the last entry that has been discarded due to {@link maxSize}. */
+    #baseId = 0;
+    #checkpoints = new Map();
+    /** Whether changes are currently being applied by the history itself. */
+    #applying = false;
+    /** Whether there is an entry that can be undone. */
+    get canUndo() {
+        return this.#index > 0;
+    }
+    /** Whether there is an entry that can be redone. */
+    get canRedo() {
+        return this.#index < this.#entries.length;
+    }
+    constructor(storage, options = {}) {
+        this.storage = storage;
+        this.maxSize = options.maxSize ?? Infinity;
+        storage.onFlush(changes => {
+            if (!this.#applying)
+                this.#record(changes);
+        });
+    }
+    /**
+     * Undo the last applied entry.
+     * @return Whether there was an entry to undo.
+     */
+    undo() {
+        if (!this.canUndo)
+            return false;
+        const { changes } = this.#entries[--this.#index];
+        this.#apply(changes.map(({ path, prevVal, initial, removed }) => ({
+            path, val: prevVal, remove: initial && !removed,
+        })).reverse());
+        return true;
+    }
+    /**
+     * Redo the last undone entry.
+     * @return Whether there was an entry to redo.
+     */
+    redo() {
+        if (!this.canRedo)
+            return false;
+        const { changes } = this.#entries[this.#index++];
+        this.#apply(changes.map(({ path, val, removed }) => ({ path, val, remove: !!removed })));
+        return true;
+    }
+    /**
+     * Save the current position in the history under the given name,
+     * overriding any previous checkpoint of the same name.
+     */
+    checkpoint(name) {
+        this.#checkpoints.set(name, this.#currentId());
+    }
+    /**
+     * Undo or redo entries until the checkpoint of the given name is reached.
+     * @return Whether the checkpoint exists and could be reached, i.e. whether
+     *         its entries have not been discarded in the meantime.
+     */
+    restore(name) {
+        const id = this.#checkpoints.get(name);
+        if (id == null || (id !== this.#baseId && !this.#entries.some(entry => entry.id === id))) {
+            return false;
+        }
+        while (this.#currentId() > id)
+            this.undo();
+        while (this.#currentId() < id)
+            this.redo();
+        return true;
+    }
+    /** Discard all entries and checkpoints. */
+    clear() {
+        this.#entries = [];
+        this.#index = 0;
+        this.#baseId = this.#nextId - 1;
+        this.#checkpoints.clear();
+    }
+    #currentId() {
+        return this.#index > 0 ? this.#entries[this.#index - 1].id : this.#baseId;
+    }
+    /** Set or remove the given properties within a single batch. */
+    #apply(writes) {
+        this.#applying = true;
+        try {
+            this.storage.batch(() => {
+                for (const { path, val, remove } of writes) {
+                    if (remove)
+                        this.storage.remove(path);
+                    else
+                        this.storage.set(path, val);
+                }
+            });
+        }
+        finally {
+            this.#applying = false;
+        }
+    }
+    #record(events) {
+        const recorded = events.filter(event => {
+            // Computed properties cannot be assigned
+            return event.path.length > 1 || event.removed
+                || !!Object.getOwnPropertyDescriptor(this.storage.target, event.path[0])?.set;
+        });
+        // Registering a top-level property is not a change, but adding a deep key is
+        const changes = filterOutermost(recorded, recorded)
+            .filter(event => !event.initial || event.path.length > 1);
+        if (changes.length === 0)
+            return;
+        this.#entries.length = this.#index;
+        this.#entries.push({ id: this.#nextId++, changes });
+        if (this.#entries.length > this.maxSize) {
+            this.#baseId = this.#entries.shift().id;
+        }
+        this.#index = this.#entries.length;
+    }
+}
@@ -1,4 +1,4 @@
-import { ReactiveStorage } from '../script/ReactiveStorage.js';
+import { ReactiveStorage, StorageHistory, Adapter, ReactiveStorageError } from '../script/ReactiveStorage.js';
 import { assert } from 'chai';
 
 function create(...args) {
@@ -662,3 +662,2235 @@ describe('Endpoint', () => {
     assert.equal(shallowEndpoint.foo, 'bar');
   });
 });
+
+describe('Array mutators', () => {
+  it('Should not be defined by default', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 1, 2 ]);
+    assert.isFalse(Object.prototype.hasOwnProperty.call(target.foo, 'push'));
+  });
+  it('push(...) registers new indices and updates the length', () => {
+    const paths = [];
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 1, 2 ], {
+      arrayMutators: true,
+      setter: ({ path }) => { paths.push(path.join('.')) }
+    });
+    paths.length = 0;
+
+    assert.equal(target.foo.push(3, { bar: 4 }), 4);
+    assert.lengthOf(target.foo, 4);
+    assertHasGetter(target.foo, 3);
+    assertHasGetter(target.foo[3], 'bar');
+    assert.deepEqual(target.foo, [ 1, 2, 3, { bar: 4 } ]);
+    assert.includeMembers(paths, [ 'foo', 'foo.2', 'foo.3', 'foo.3.bar' ]);
+  });
+  it('pop(...) and shift(...) unregister removed indices', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 1, 2, 3 ], {
+      arrayMutators: true,
+    });
+    assert.equal(target.foo.pop(), 3);
+    assert.equal(target.foo.shift(), 1);
+    assert.lengthOf(target.foo, 1);
+    assert.deepEqual(target.foo, [ 2 ]);
+    assertHasGetter(target.foo, 0);
+    assert.notProperty(target.foo, 1);
+  });
+  it('splice(...) returns the removed items', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 1, 2, 3, 4 ], {
+      arrayMutators: true,
+    });
+    assert.deepEqual(target.foo.splice(1, 2, 'a'), [ 2, 3 ]);
+    assert.deepEqual(target.foo, [ 1, 'a', 4 ]);
+    assertHasGetter(target.foo, 1);
+  });
+  it('sort(...), reverse(...), fill(...) and copyWithin(...) return the target', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 3, 1, 2 ], {
+      arrayMutators: true,
+    });
+    assert.equal(target.foo.sort(), target.foo);
+    assert.deepEqual(target.foo, [ 1, 2, 3 ]);
+    assert.equal(target.foo.reverse(), target.foo);
+    assert.deepEqual(target.foo, [ 3, 2, 1 ]);
+    assert.equal(target.foo.copyWithin(0, 2), target.foo);
+    assert.deepEqual(target.foo, [ 1, 2, 1 ]);
+    assert.equal(target.foo.fill(0, 1), target.foo);
+    assert.deepEqual(target.foo, [ 1, 0, 0 ]);
+  });
+  it('Mutations keep the raw values of a transforming getter', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 3, 1, 20 ], {
+      arrayMutators: true,
+      getter: ({ val }) => typeof val === 'number' ? val * 10 : undefined
+    });
+    target.foo.push(2);
+    assert.deepEqual(target.foo, [ 30, 10, 200, 20 ]);
+    assert.equal(target.foo.sort((a, b) => a - b), target.foo);
+    assert.deepEqual(target.foo, [ 10, 20, 30, 200 ]);
+    // The default order compares the values as read, converted to strings
+    target.foo.sort();
+    assert.deepEqual(target.foo, [ 10, 20, 200, 30 ]);
+    assert.equal(target.foo.pop(), 30);
+    assert.deepEqual(target.foo.splice(0, 1), [ 10 ]);
+    assert.deepEqual(target.foo, [ 20, 200 ]);
+  });
+  it('Moved deep items keep their identity and path', () => {
+    const paths = [];
+    const { target } = ReactiveStorage.registerRecursive('foo', [ { id: 1 }, { id: 2 }, { id: 3 } ], {
+      arrayMutators: true,
+      postSetter: ({ path }) => { paths.push(path.join('.')) }
+    });
+    const [ a, b, c ] = target.foo;
+    target.foo.reverse();
+    assert.equal(target.foo[0], c);
+    assert.equal(target.foo[1], b);
+    assert.equal(target.foo[2], a);
+
+    paths.length = 0;
+    a.id = 4;
+    c.id = 5;
+    assert.deepEqual(paths, [ 'foo.2.id', 'foo.0.id' ]);
+
+    // An item that also stays at its index is copied
+    target.foo.copyWithin(0, 2);
+    assert.equal(target.foo[2], a);
+    assert.notEqual(target.foo[0], a);
+    assert.deepEqual(target.foo, [ { id: 4 }, { id: 2 }, { id: 4 } ]);
+  });
+  it('Mutations are reflected in nested deep arrays', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', { bar: [ [ 1 ] ] }, {
+      arrayMutators: true,
+    });
+    target.foo.bar[0].unshift(0);
+    assert.deepEqual(target.foo.bar, [ [ 0, 1 ] ]);
+  });
+  it('Array callbacks receive the path and a mutation description', () => {
+    let events = [];
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 1, 2 ], {
+      arrayMutators: true,
+      postSetter: ({ path, val, prevVal, mutation }) => {
+        if (mutation) events.push({ path, val: [ ...val ], prevVal, mutation });
+      }
+    });
+    target.foo.push(3);
+    assert.deepEqual(events, [{
+      path: [ 'foo' ],
+      val: [ 1, 2, 3 ],
+      prevVal: [ 1, 2 ],
+      mutation: { method: 'push', args: [ 3 ] }
+    }]);
+  });
+  it('A setter returning `true` cancels the mutation', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', [ 1, 2 ], {
+      arrayMutators: true,
+      setter: ({ mutation }) => !!mutation
+    });
+    assert.equal(target.foo.push(3), 2);
+    assert.isUndefined(target.foo.pop());
+    assert.deepEqual(target.foo, [ 1, 2 ]);
+  });
+});
+
+describe('set(...)/remove(...)', () => {
+  describe('Static', () => {
+    it('Registers a new key on a deep target', () => {
+      const paths = [];
+      const { target } = ReactiveStorage.registerRecursive('foo', { bar: 3 }, {
+        setter: ({ path }) => { paths.push(path) }
+      });
+      paths.length = 0;
+
+      assert.isTrue(ReactiveStorage.set(target.foo, 'baz', { lor: 4 }));
+      assertHasGetter(target.foo, 'baz');
+      assertHasGetter(target.foo.baz, 'lor');
+      assert.deepEqual(paths, [ [ 'foo', 'baz' ], [ 'foo', 'baz', 'lor' ] ]);
+    });
+    it('Uses the depth options of the deep target', () => {
+      const { target } = ReactiveStorage.register('foo', { bar: 3 }, {
+        depth: { enumerable: false }
+      });
+      ReactiveStorage.set(target.foo, 'baz', { lor: 4 });
+      assertIsNotEnumerable(target.foo, 'baz');
+      assertHasValue(target.foo.baz, 'lor');
+    });
+    it('Assigns existing keys through their accessor', () => {
+      let i = 0;
+      const { target } = ReactiveStorage.registerRecursive('foo', { bar: 3 }, {
+        setter: () => { i++ }
+      });
+      ReactiveStorage.set(target.foo, 'bar', 4);
+      assert.equal(target.foo.bar, 4);
+      assert.equal(i, 3);
+    });
+    it('Returns `false` for objects that are not deep targets', () => {
+      const obj = {};
+      assert.isFalse(ReactiveStorage.set(obj, 'foo', 3));
+      assert.notProperty(obj, 'foo');
+    });
+    it('Removes a key from a deep target', () => {
+      const { target } = ReactiveStorage.registerRecursive('foo', { bar: 3, baz: 4 });
+      assert.isTrue(ReactiveStorage.remove(target.foo, 'bar'));
+      assert.isFalse(ReactiveStorage.remove(target.foo, 'bar'));
+      assert.hasAllKeys(target.foo, [ 'baz' ]);
+    });
+  });
+  describe('Instance', () => {
+    it('Registers shallow keys with the instance configuration', () => {
+      const s = create({ depth: Infinity });
+      s.set('foo', { bar: 3 });
+      assert.isTrue(s.has('foo'));
+      assertHasGetter(s.target.foo, 'bar');
+    });
+    it('Registers deep keys by path', () => {
+      const paths = [];
+      const s = create({
+        depth: Infinity,
+        postSetter: ({ path }) => { paths.push(path) }
+      });
+      s.register('foo', { bar: { baz: 1 } });
+      paths.length = 0;
+
+      assert.isTrue(s.set([ 'foo', 'bar', 'lor' ], 2));
+      assert.equal(s.target.foo.bar.lor, 2);
+      assert.deepEqual(paths, [ [ 'foo', 'bar', 'lor' ] ]);
+      assert.isFalse(s.set([ 'none', 'bar' ], 2));
+    });
+    it('Removes deep keys by path', () => {
+      const s = create({ depth: Infinity });
+      s.register('foo', { bar: { baz: 1, lor: 2 } });
+      assert.isTrue(s.remove([ 'foo', 'bar', 'baz' ]));
+      assert.hasAllKeys(s.target.foo.bar, [ 'lor' ]);
+      assert.isTrue(s.remove('foo'));
+      assert.isFalse(s.has('foo'));
+    });
+    it('Notifies the postSetter and watchers of removed keys', () => {
+      const events = [];
+      const watched = [];
+      const s = create({
+        depth: Infinity,
+        postSetter: ({ path, val, prevVal, removed }) => { events.push([ path.join('.'), val, prevVal, removed ]) }
+      });
+      s.register('foo', { bar: 1, baz: { lor: 2 } });
+      s.watch('foo.*', ({ path, removed }) => { watched.push([ path.join('.'), removed ]) });
+      events.length = 0;
+
+      s.remove([ 'foo', 'bar' ]);
+      ReactiveStorage.remove(s.target.foo, 'baz');
+      s.delete('foo');
+      assert.deepEqual(events, [
+        [ 'foo.bar', undefined, 1, true ],
+        [ 'foo.baz', undefined, { lor: 2 }, true ],
+        [ 'foo', undefined, {}, true ],
+      ]);
+      assert.deepEqual(watched, [ [ 'foo.bar', true ], [ 'foo.baz', true ] ]);
+    });
+  });
+});
+
+describe('watch(...)', () => {
+  it('Calls listeners of an exact path with the postSetter event', () => {
+    const events = [];
+    const s = create({ depth: Infinity });
+    s.register('foo', { bar: 1 });
+    s.watch('foo.bar', event => { events.push(event) });
+
+    s.target.foo.bar = 2;
+    s.target.foo = { baz: 3 };
+    assert.deepEqual(events, [{ val: 2, prevVal: 1, initial: false, path: [ 'foo', 'bar' ] }]);
+  });
+  it('Supports wildcards and array patterns', () => {
+    const paths = [];
+    const s = create({ depth: Infinity });
+    s.register('users', [ { id: 1 }, { id: 2 } ]);
+    s.watch('users.*.id', ({ path }) => { paths.push(path.join('.')) });
+    s.watch([ 'users', 0, '*' ], ({ path }) => { paths.push('array:' + path.join('.')) });
+
+    s.target.users[1].id = 3;
+    s.target.users[0].id = 4;
+    assert.sameMembers(paths, [ 'users.1.id', 'users.0.id', 'array:users.0.id' ]);
+  });
+  it('Receives initial events of registrations after watching', () => {
+    let initial;
+    const s = create();
+    s.watch('foo', event => { initial = event.initial });
+    s.register('foo', 1);
+    assert.isTrue(initial);
+  });
+  it('Unsubscribes', () => {
+    let i = 0;
+    const s = create();
+    s.register('foo', 1);
+    const unwatch = s.watch('foo', () => { i++ });
+    s.target.foo = 2;
+    unwatch();
+    s.target.foo = 3;
+    assert.equal(i, 1);
+  });
+  it('Observes keys added via `set(...)` and array mutators', () => {
+    const paths = [];
+    const s = create({ depth: Infinity, arrayMutators: true });
+    s.register('foo', { list: [] });
+    s.watch('foo.*', ({ path, mutation }) => { paths.push(path.join('.') + (mutation ? ':' + mutation.method : '')) });
+
+    s.set([ 'foo', 'bar' ], 1);
+    s.target.foo.list.push(1);
+    assert.deepEqual(paths, [ 'foo.bar', 'foo.list:push' ]);
+  });
+  it('Only observes the first layer of a definition chain', () => {
+    let i = 0;
+    const s = create([ {}, {} ]);
+    s.register('foo', 1);
+    s.watch('foo', () => { i++ });
+    s.target.foo = 2;
+    s.targets[1].foo = 3;
+    assert.equal(i, 1);
+  });
+  it('Rejects glob keys of path-scoped options', () => {
+    const s = create({ depth: Infinity });
+    s.register('foo', { list: [ 1 ] });
+    assert.throws(() => s.watch('foo.**', () => {}), ReactiveStorageError, 'Unsupported key "**"');
+    assert.throws(() => s.watch([ 'foo', 'list', '#' ], () => {}), ReactiveStorageError, '"foo.list.#"');
+    assert.throws(() => s.changes('**'), ReactiveStorageError, 'Unsupported key "**"');
+    assert.throws(() => s.observe('foo.list.#'), ReactiveStorageError, 'Unsupported key "#"');
+    assert.throws(() => s.persist({ adapter: { load() {}, save() {} }, paths: [ 'foo.**' ] }), ReactiveStorageError);
+  });
+});
+
+describe('batch(...)/onFlush(...)', () => {
+  it('Coalesces postSetter calls by path', () => {
+    const events = [];
+    const s = create({
+      postSetter: ({ val, prevVal, path }) => { events.push([ path.join('.'), prevVal, val ]) }
+    });
+    s.register([ 'foo', 'bar' ], 1);
+    events.length = 0;
+
+    const result = s.batch(() => {
+      s.target.foo = 2;
+      s.target.bar = 5;
+      s.target.foo = 3;
+      assert.equal(s.shallowEndpoint.foo, 3);
+      assert.lengthOf(events, 0);
+      return 'lor';
+    });
+    assert.equal(result, 'lor');
+    assert.deepEqual(events, [ [ 'foo', 1, 3 ], [ 'bar', 1, 5 ] ]);
+  });
+  it('Defers watchers and flushes only after the outermost batch', () => {
+    let i = 0;
+    const s = create();
+    s.register('foo', 1);
+    s.watch('foo', () => { i++ });
+    s.batch(() => {
+      s.batch(() => { s.target.foo = 2 });
+      assert.equal(i, 0);
+      s.target.foo = 3;
+    });
+    assert.equal(i, 1);
+  });
+  it('Flushes a deep reassignment once', () => {
+    const flushes = [];
+    const s = create({ depth: Infinity });
+    s.register('foo', { bar: 1 });
+    s.onFlush(changes => { flushes.push(changes.map(({ path }) => path.join('.'))) });
+
+    s.target.foo = { bar: 2, baz: [ 3 ] };
+    assert.deepEqual(flushes, [ [ 'foo.bar', 'foo.baz.0', 'foo.baz', 'foo' ] ]);
+  });
+  it('Lists removed keys unless they have been added in the same flush', () => {
+    const flushes = [];
+    const s = create({ depth: Infinity });
+    s.register('foo', { bar: 1 });
+    s.onFlush(changes => { flushes.push(changes) });
+
+    s.remove([ 'foo', 'bar' ]);
+    s.batch(() => {
+      s.set([ 'foo', 'baz' ], 2);
+      s.remove([ 'foo', 'baz' ]);
+    });
+    assert.deepEqual(flushes, [
+      [{ val: undefined, prevVal: 1, initial: false, path: [ 'foo', 'bar' ], removed: true }]
+    ]);
+  });
+  it('Lists every changed path with its first `prevVal` and final `val`', () => {
+    let changes;
+    const s = create({ depth: Infinity });
+    s.register('foo', { bar: 1 });
+    const off = s.onFlush(c => { changes = c });
+    s.batch(() => {
+      s.target.foo.bar = 2;
+      s.target.foo.bar = 3;
+    });
+    assert.deepEqual(changes, [{ val: 3, prevVal: 1, initial: false, path: [ 'foo', 'bar' ] }]);
+
+    off();
+    changes = null;
+    s.target.foo.bar = 4;
+    assert.isNull(changes);
+  });
+  it('Microtask mode', async () => {
+    const events = [];
+    const s = create({
+      batch: 'microtask',
+      postSetter: ({ val }) => { events.push(val) }
+    });
+    s.register('foo', 1);
+    s.target.foo = 2;
+    s.target.foo = 3;
+    assert.lengthOf(events, 0);
+    assert.equal(s.target.foo, 3);
+
+    await Promise.resolve();
+    assert.deepEqual(events, [ 3 ]);
+  });
+  it('Calls all listeners before rethrowing their errors', () => {
+    const calls = [];
+    const s = create({
+      postSetter: ({ path, initial }) => {
+        calls.push(path[0]);
+        if (!initial) throw new Error(path[0]);
+      }
+    });
+    s.register([ 'foo', 'bar' ], 1);
+    s.onFlush(() => { calls.push('flush') });
+    s.subscribe(() => { calls.push('subscriber') });
+    calls.length = 0;
+
+    try {
+      s.batch(() => {
+        s.target.foo = 2;
+        s.target.bar = 2;
+      });
+      assert.fail();
+    } catch (err) {
+      assert.instanceOf(err, AggregateError);
+      assert.deepEqual(err.errors.map(({ message }) => message), [ 'foo', 'bar' ]);
+    }
+    assert.deepEqual(calls, [ 'foo', 'bar', 'flush', 'subscriber' ]);
+    assert.throws(() => s.batch(() => { s.target.foo = 3 }), Error, 'foo');
+  });
+  it('Reports errors of microtask flushes after flushing', async () => {
+    const handlers = process.listeners('uncaughtException');
+    const errors = [];
+    process.removeAllListeners('uncaughtException');
+    process.on('uncaughtException', err => { errors.push(err.message) });
+    try {
+      const calls = [];
+      const s = create({
+        batch: 'microtask',
+        postSetter: ({ path }) => {
+          calls.push(path[0]);
+          if (path[0] === 'foo') throw new Error('foo');
+        },
+      });
+      s.register([ 'foo', 'bar' ], 1);
+      s.onFlush(() => { calls.push('flush') });
+      await new Promise(resolve => setTimeout(resolve));
+      assert.deepEqual(calls, [ 'foo', 'bar', 'flush' ]);
+      assert.deepEqual(errors, [ 'foo' ]);
+    } finally {
+      process.removeAllListeners('uncaughtException');
+      for (const handler of handlers) process.on('uncaughtException', handler);
+    }
+  });
+});
+
+describe('computed(...)', () => {
+  it('Defines a getter-only property', () => {
+    const s = create();
+    s.register('foo', 2);
+    const c = s.computed('double', () => s.target.foo * 2);
+    assert.equal(c, s);
+    assert.equal(s.target.double, 4);
+    assertHasGetter(s.target, 'double');
+    assert.isUndefined(Object.getOwnPropertyDescriptor(s.target, 'double').set);
+  });
+  it('Caches its value until a dependency changes', () => {
+    let i = 0;
+    const s = create({ depth: Infinity });
+    s.register('items', [ { price: 2 }, { price: 3 } ]);
+    s.register('other', 1);
+    s.computed('total', () => {
+      i++;
+      return s.target.items.reduce((sum, item) => sum + item.price, 0);
+    });
+    assert.equal(i, 1);
+    s.target.total;
+    s.target.total;
+    s.target.other = 2;
+    assert.equal(i, 1);
+
+    s.target.items[1].price = 5;
+    assert.equal(s.target.total, 7);
+    s.target.items = [ { price: 1 } ];
+    assert.equal(s.target.total, 1);
+    assert.equal(i, 3);
+  });
+  it('Re-tracks its dependencies on every run', () => {
+    let i = 0;
+    const s = create();
+    s.register([ 'flag', 'a', 'b' ], 1);
+    s.target.flag = true;
+    s.computed('val', () => {
+      i++;
+      return s.target.flag ? s.target.a : s.target.b;
+    });
+    s.target.b = 2;
+    assert.equal(i, 1);
+    s.target.flag = false;
+    assert.equal(s.target.val, 2);
+    s.target.a = 3;
+    assert.equal(i, 2);
+  });
+  it('Notifies only when its value actually changes', () => {
+    const events = [];
+    const s = create({
+      postSetter: ({ path, val, prevVal, initial }) => {
+        if (path[0] === 'even') events.push({ val, prevVal, initial });
+      }
+    });
+    s.register('foo', 2);
+    s.computed('even', () => s.target.foo % 2 === 0);
+    s.target.foo = 4;
+    s.target.foo = 5;
+    assert.deepEqual(events, [
+      { val: true, prevVal: undefined, initial: true },
+      { val: false, prevVal: true, initial: false },
+    ]);
+  });
+  it('Can depend on other computed properties', () => {
+    const s = create();
+    s.register('foo', 1);
+    s.computed('double', () => s.target.foo * 2);
+    s.computed('quadruple', () => s.target.double * 2);
+    s.target.foo = 3;
+    assert.equal(s.target.quadruple, 12);
+  });
+  it('Is disposed by `delete(...)`', () => {
+    let i = 0;
+    const s = create();
+    s.register('foo', 1);
+    s.computed('bar', () => { i++; return s.target.foo });
+    assert.isTrue(s.delete('bar'));
+    s.target.foo = 2;
+    assert.equal(i, 1);
+    assert.isFalse(s.has('bar'));
+  });
+});
+
+describe('effect(...)', () => {
+  it('Runs immediately and re-runs when a dependency is set', () => {
+    const names = [];
+    const s = create({ depth: Infinity });
+    s.register('user', { name: 'foo', age: 3 });
+    s.effect(() => { names.push(s.target.user.name) });
+    assert.deepEqual(names, [ 'foo' ]);
+
+    s.target.user.name = 'bar';
+    s.target.user.age = 4;
+    s.target.user = { name: 'baz' };
+    assert.deepEqual(names, [ 'foo', 'bar', 'baz' ]);
+    s.batch(() => {
+      s.target.user.name = 'lor';
+      s.target.user.name = 'dol';
+    });
+    assert.deepEqual(names, [ 'foo', 'bar', 'baz', 'dol' ]);
+  });
+  it('Re-tracks its dependencies on every run', () => {
+    let i = 0;
+    const s = create();
+    s.register([ 'flag', 'a', 'b' ], 1);
+    s.target.flag = true;
+    s.effect(() => {
+      i++;
+      s.target.flag ? s.target.a : s.target.b;
+    });
+    s.target.flag = false;
+    s.target.a = 2;
+    assert.equal(i, 2);
+    s.target.b = 2;
+    assert.equal(i, 3);
+  });
+  it('Stops when disposed', () => {
+    let i = 0;
+    const s = create();
+    s.register('foo', 1);
+    const dispose = s.effect(() => { i++; s.target.foo });
+    dispose();
+    s.target.foo = 2;
+    assert.equal(i, 1);
+  });
+  it('Does not trigger itself when writing to its dependencies', () => {
+    let i = 0;
+    const s = create();
+    s.register('foo', 1);
+    s.effect(() => {
+      i++;
+      s.target.foo = s.target.foo + 1;
+    });
+    assert.equal(i, 1);
+    assert.equal(s.target.foo, 2);
+  });
+});
+
+describe('snapshot(...)', () => {
+  it('Creates a plain deep copy', () => {
+    const sym = Symbol('sym');
+    const s = create({ depth: Infinity, arrayMutators: true });
+    s.register('foo', { bar: [ 1, { baz: 2 } ], [sym]: 'lor' });
+    const snapshot = s.snapshot();
+
+    assert.deepEqual(snapshot, { foo: { bar: [ 1, { baz: 2 } ], [sym]: 'lor' } });
+    assert.equal(snapshot.foo[sym], 'lor');
+    assert.isArray(snapshot.foo.bar);
+    assertHasValue(snapshot, 'foo');
+    assertHasValue(snapshot.foo.bar[1], 'baz');
+    assert.isFalse(Object.prototype.hasOwnProperty.call(snapshot.foo.bar, 'push'));
+
+    s.target.foo.bar[0] = 5;
+    assert.equal(snapshot.foo.bar[0], 1);
+  });
+  it('Reads values through custom getters and keeps non-enumerable properties', () => {
+    const { target } = ReactiveStorage.registerRecursive('foo', { bar: 2 }, {
+      enumerable: false,
+      getter: ({ val }) => typeof val === 'number' ? val * 10 : undefined
+    });
+    assert.deepEqual(ReactiveStorage.snapshot(target), { foo: { bar: 20 } });
+  });
+  it('Handles cyclic references', () => {
+    const { target } = ReactiveStorage.register('foo', { bar: 1 }, { depth: 1 });
+    target.foo.bar = target;
+    const snapshot = ReactiveStorage.snapshot(target);
+    assert.equal(snapshot.foo.bar, snapshot);
+  });
+  it('Supports `JSON.stringify(...)`', () => {
+    const s = create({ depth: Infinity });
+    s.register('foo', { bar: [ 1 ] });
+    assert.equal(JSON.stringify(s), '{"foo":{"bar":[1]}}');
+  });
+});
+
+describe('History', () => {
+  it('Is only present when enabled', () => {
+    assert.isUndefined(create().history);
+    assert.instanceOf(create({ history: true }).history, StorageHistory);
+    assert.equal(create({ history: { maxSize: 3 } }).history.maxSize, 3);
+  });
+  it('Does not record initial assignments', () => {
+    const s = create({ history: true });
+    s.register('foo', 1);
+    assert.isFalse(s.history.canUndo);
+  });
+  it('Undoes and redoes writes through the accessors', () => {
+    const events = [];
+    const s = create({
+      history: true,
+      depth: Infinity,
+      postSetter: ({ path, val }) => { events.push([ path.join('.'), val ]) }
+    });
+    s.register('foo', { bar: 1 });
+    s.target.foo.bar = 2;
+    events.length = 0;
+
+    assert.isTrue(s.history.undo());
+    assert.equal(s.target.foo.bar, 1);
+    assert.deepEqual(events, [ [ 'foo.bar', 1 ] ]);
+    assert.isFalse(s.history.canUndo);
+    assert.isFalse(s.history.undo());
+
+    assert.isTrue(s.history.redo());
+    assert.equal(s.target.foo.bar, 2);
+    assert.isFalse(s.history.canRedo);
+  });
+  it('Groups a deep reassignment into a single entry', () => {
+    const s = create({ history: true, depth: Infinity });
+    s.register('foo', { bar: 1 });
+    s.target.foo = { baz: [ 1, 2 ] };
+
+    s.history.undo();
+    assert.isFalse(s.history.canUndo);
+    assert.deepEqual(s.snapshot(), { foo: { bar: 1 } });
+    assertHasGetter(s.target.foo, 'bar');
+
+    s.history.redo();
+    assert.deepEqual(s.snapshot(), { foo: { baz: [ 1, 2 ] } });
+  });
+  it('Groups batches and array mutations into a single entry', () => {
+    const s = create({ history: true, depth: Infinity, arrayMutators: true });
+    s.register('list', [ 1, 2, 3 ]);
+    s.register('foo', 1);
+    s.batch(() => {
+      s.target.foo = 2;
+      s.target.foo = 3;
+      s.target.list.splice(0, 2, 'a');
+    });
+    s.history.undo();
+    assert.deepEqual(s.snapshot(), { list: [ 1, 2, 3 ], foo: 1 });
+    s.history.redo();
+    assert.deepEqual(s.snapshot(), { list: [ 'a', 3 ], foo: 3 });
+  });
+  it('A new write discards the redo stack', () => {
+    const s = create({ history: true });
+    s.register('foo', 1);
+    s.target.foo = 2;
+    s.history.undo();
+    s.target.foo = 3;
+    assert.isFalse(s.history.canRedo);
+    s.history.undo();
+    assert.equal(s.target.foo, 1);
+  });
+  it('Respects the max size', () => {
+    const s = create({ history: { maxSize: 2 } });
+    s.register('foo', 0);
+    for (let i = 1; i <= 4; i++) s.target.foo = i;
+    while (s.history.undo());
+    assert.equal(s.target.foo, 2);
+  });
+  it('Restores named checkpoints', () => {
+    const s = create({ history: true });
+    s.register('foo', 0);
+    s.history.checkpoint('start');
+    s.target.foo = 1;
+    s.target.foo = 2;
+    s.history.checkpoint('two');
+    s.target.foo = 3;
+
+    assert.isTrue(s.history.restore('start'));
+    assert.equal(s.target.foo, 0);
+    assert.isTrue(s.history.restore('two'));
+    assert.equal(s.target.foo, 2);
+    assert.isFalse(s.history.restore('none'));
+
+    s.history.undo();
+    s.target.foo = 4;
+    assert.isFalse(s.history.restore('two'));
+  });
+  it('Undoes and redoes added and removed keys', () => {
+    const s = create({ history: true, depth: Infinity });
+    s.register('foo', { bar: 1, list: [ 1 ] });
+    s.register('a', 1);
+    s.target.foo.bar = 2;
+    s.set([ 'foo', 'added' ], 5);
+    s.remove([ 'foo', 'bar' ]);
+    s.delete('a');
+    assert.deepEqual(s.snapshot(), { foo: { list: [ 1 ], added: 5 } });
+
+    while (s.history.undo());
+    assert.deepEqual(s.snapshot(), { foo: { bar: 1, list: [ 1 ] }, a: 1 });
+    assertHasGetter(s.target.foo, 'bar');
+    assertHasGetter(s.target, 'a');
+
+    while (s.history.redo());
+    assert.deepEqual(s.snapshot(), { foo: { list: [ 1 ], added: 5 } });
+    assert.notProperty(s.target, 'a');
+  });
+  it('Ignores computed properties', () => {
+    const s = create({ history: true });
+    s.register('foo', 1);
+    s.computed('double', () => s.target.foo * 2);
+    s.target.foo = 2;
+    s.history.undo();
+    assert.equal(s.target.double, 2);
+  });
+});
+
+describe('onPatch(...)/applyPatch(...)', () => {
+  function createPatched(config = {}) {
+    const s = create(Object.assign({ depth: Infinity, arrayMutators: true }, config));
+    const patches = [];
+    s.onPatch(ops => { patches.push(...ops) });
+    return { s, patches };
+  }
+
+  describe('Emitting', () => {
+    it('Emits `add` for initial and `replace` for subsequent assignments', () => {
+      const { s, patches } = createPatched();
+      s.register('foo', { 'a/b': 1, 'c~d': 2 });
+      s.target.foo['a/b'] = 3;
+      assert.deepEqual(patches, [
+        { op: 'add', path: '/foo', value: { 'a/b': 1, 'c~d': 2 } },
+        { op: 'replace', path: '/foo/a~1b', value: 3 },
+      ]);
+    });
+    it('Emits the outermost path of deep reassignments and array mutations', () => {
+      const { s, patches } = createPatched();
+      s.register('foo', { list: [ 1 ] });
+      patches.length = 0;
+
+      s.target.foo = { list: [ 2 ] };
+      s.target.foo.list.push(3);
+      assert.deepEqual(patches, [
+        { op: 'replace', path: '/foo', value: { list: [ 2 ] } },
+        { op: 'replace', path: '/foo/list', value: [ 2, 3 ] },
+      ]);
+    });
+    it('Emits `remove` for removed properties', () => {
+      const { s, patches } = createPatched();
+      s.register('foo', { bar: 1 });
+      s.register('baz', 1);
+      patches.length = 0;
+
+      s.remove([ 'foo', 'bar' ]);
+      s.delete('baz');
+      assert.deepEqual(patches, [
+        { op: 'remove', path: '/foo/bar' },
+        { op: 'remove', path: '/baz' },
+      ]);
+    });
+    it('Coalesces the operations of a batch', () => {
+      const { s, patches } = createPatched();
+      s.register('foo', { bar: 1 });
+      patches.length = 0;
+
+      s.batch(() => {
+        s.target.foo.bar = 2;
+        s.set([ 'foo', 'baz' ], 3);
+        s.remove([ 'foo', 'baz' ]);
+        s.target.foo.bar = 4;
+      });
+      assert.deepEqual(patches, [ { op: 'replace', path: '/foo/bar', value: 4 } ]);
+    });
+  });
+
+  describe('Applying', () => {
+    it('Applies `add`, `replace` and `remove` through the accessors', () => {
+      const paths = [];
+      const s = create({ depth: Infinity, postSetter: ({ path }) => { paths.push(path.join('.')) } });
+      s.register('foo', { bar: 1, list: [ 1, 2 ] });
+      paths.length = 0;
+
+      const rejections = s.applyPatch([
+        { op: 'replace', path: '/foo/bar', value: 2 },
+        { op: 'add', path: '/foo/baz', value: { lor: 3 } },
+        { op: 'add', path: '/foo/list/1', value: 'a' },
+        { op: 'add', path: '/foo/list/-', value: 'b' },
+        { op: 'remove', path: '/foo/list/0' },
+        { op: 'add', path: '/new', value: 5 },
+      ]);
+      assert.lengthOf(rejections, 0);
+      assert.deepEqual(s.snapshot(), {
+        foo: { bar: 2, baz: { lor: 3 }, list: [ 'a', 2, 'b' ] },
+        new: 5,
+      });
+      assertHasGetter(s.target.foo.baz, 'lor');
+      assertHasGetter(s.target.foo.list, 2);
+      assert.includeMembers(paths, [ 'foo.bar', 'foo.baz.lor', 'new' ]);
+    });
+    it('Rejects invalid operations with a reason', () => {
+      const s = create({ depth: 1 });
+      s.register('foo', { bar: { baz: 1 }, list: [] });
+      s.computed('comp', () => 1);
+      const ops = [
+        { op: 'move', path: '/foo', from: '/bar' },
+        { op: 'replace', path: 'foo', value: 1 },
+        { op: 'replace', path: '', value: 1 },
+        { op: 'replace', path: '/none', value: 1 },
+        { op: 'add', path: '/none/bar', value: 1 },
+        { op: 'add', path: '/foo/bar/lor', value: 1 },
+        { op: 'add', path: '/foo/list/01', value: 1 },
+        { op: 'remove', path: '/foo/list/0' },
+        { op: 'replace', path: '/comp', value: 2 },
+        { op: 'add', path: '/foo/lor' },
+      ];
+      const rejections = s.applyPatch(ops);
+      assert.deepEqual(rejections.map(({ index }) => index), ops.map((_, i) => i));
+      rejections.forEach(({ op, reason }, i) => {
+        assert.equal(op, ops[i]);
+        assert.isString(reason);
+      });
+      assert.deepEqual(s.snapshot(), { foo: { bar: { baz: 1 }, list: [] }, comp: 1 });
+    });
+    it('Round-trips between two storages', () => {
+      const { s: source } = createPatched();
+      const replica = create({ depth: Infinity });
+      source.onPatch(ops => { assert.lengthOf(replica.applyPatch(ops), 0) });
+
+      source.register('foo', { bar: [ 1, 2 ] });
+      source.target.foo.bar.splice(0, 1, 'a', 'b');
+      source.set([ 'foo', 'baz' ], 3);
+      source.remove([ 'foo', 'baz' ]);
+      assert.deepEqual(replica.snapshot(), source.snapshot());
+    });
+  });
+});
+
+describe('persist(...)', () => {
+  function createMemoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+      items,
+      getItem: key => items.has(key) ? items.get(key) : null,
+      setItem: (key, value) => { items.set(key, value) },
+    };
+  }
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('Hydrates properties registered later on', () => {
+    const webStorage = createMemoryStorage({ state: '{"foo":{"bar":5},"baz":2}' });
+    const s = create({
+      depth: Infinity,
+      persist: Adapter.webStorage(webStorage, 'state'),
+    });
+    s.register('foo', { bar: 1 });
+    s.registerFrom({ baz: 1, lor: 1 });
+    assert.deepEqual(s.snapshot(), { foo: { bar: 5 }, baz: 2, lor: 1 });
+    assertHasGetter(s.target.foo, 'bar');
+  });
+  it('Hydrates properties that are already registered', () => {
+    const webStorage = createMemoryStorage({ state: '{"foo":3}' });
+    const s = create();
+    s.register('foo', 1);
+    s.persist(Adapter.webStorage(webStorage, 'state'));
+    assert.equal(s.target.foo, 3);
+  });
+  it('Saves debounced after changes', async () => {
+    const webStorage = createMemoryStorage();
+    const s = create({ depth: Infinity });
+    s.persist({ adapter: Adapter.webStorage(webStorage, 'state'), debounce: 5 });
+    s.register('foo', { bar: 1 });
+    s.target.foo.bar = 2;
+    assert.isFalse(webStorage.items.has('state'));
+
+    await wait(20);
+    assert.deepEqual(JSON.parse(webStorage.items.get('state')), { foo: { bar: 2 } });
+    s.delete('foo');
+    await wait(20);
+    assert.deepEqual(JSON.parse(webStorage.items.get('state')), {});
+  });
+  it('Passes errors while saving to onError', async () => {
+    const errors = [];
+    const adapter = {
+      load: () => undefined,
+      save: () => { throw new Error('Disk full') },
+    };
+    const s = create();
+    s.persist({ adapter, debounce: 1, onError: err => errors.push(err.message) });
+    s.register('foo', 1);
+    await wait(10);
+    assert.deepEqual(errors, [ 'Disk full' ]);
+  });
+  it('Only persists the configured paths', async () => {
+    let saved;
+    let saves = 0;
+    const adapter = {
+      load: () => ({ user: { name: 'saved', age: 99 }, theme: 'dark' }),
+      save: data => { saves++; saved = data },
+    };
+    const s = create({ depth: Infinity });
+    const stop = s.persist({ adapter, paths: [ 'user.name', 'list.*.id' ], debounce: 1 });
+    s.register('user', { name: 'foo', age: 3 });
+    s.register('theme', 'light');
+    s.register('list', [ { id: 1, tmp: true } ]);
+    assert.deepEqual(s.snapshot(), {
+      user: { name: 'saved', age: 3 },
+      theme: 'light',
+      list: [ { id: 1, tmp: true } ],
+    });
+    await wait(10);
+    saves = 0;
+
+    s.target.theme = 'dark';
+    s.target.user.age = 4;
+    await wait(10);
+    assert.equal(saves, 0);
+
+    s.target.list[0].tmp = false;
+    s.target.user.name = 'bar';
+    stop();
+    assert.equal(saves, 1);
+    assert.deepEqual(saved, { user: { name: 'bar' }, list: [ { id: 1 } ] });
+  });
+  it('File adapter', () => {
+    const files = new Map();
+    const fs = {
+      existsSync: path => files.has(path),
+      readFileSync: path => files.get(path),
+      writeFileSync: (path, data) => { files.set(path, data) },
+    };
+    const adapter = Adapter.file('/state.json', fs);
+    assert.isUndefined(adapter.load());
+    adapter.save({ foo: 1 });
+    assert.deepEqual(adapter.load(), { foo: 1 });
+    assert.equal(ReactiveStorage.Adapter, Adapter);
+  });
+});
+
+describe('Schema', () => {
+  const schema = {
+    properties: {
+      name: { type: 'string' },
+      age: { type: 'integer', min: 0, max: 150 },
+      role: { enum: [ 'admin', 'guest' ] },
+      user: {
+        type: 'object',
+        required: [ 'id' ],
+        properties: {
+          id: { type: 'number' },
+          tags: { type: 'array', items: { type: 'string' } },
+        }
+      }
+    }
+  };
+
+  it('Accepts valid values', () => {
+    const s = create({ depth: Infinity, schema });
+    s.register('name', 'foo');
+    s.register('age', 42);
+    s.register('role', 'admin');
+    s.register('user', { id: 1, tags: [ 'a', 'b' ] });
+    s.register('other', { anything: true });
+    s.target.user.tags.push('c');
+    assert.deepEqual(s.snapshot(), {
+      name: 'foo', age: 42, role: 'admin',
+      user: { id: 1, tags: [ 'a', 'b', 'c' ] },
+      other: { anything: true },
+    });
+  });
+  it('Throws with path and reason before writing the endpoint', () => {
+    const s = create({ depth: Infinity, schema });
+    s.register('age', 42);
+    s.register('user', { id: 1, tags: [] });
+    let calls = 0;
+    s.watch('age', () => calls++);
+    s.watch('user', () => calls++);
+    s.watch('user.*', () => calls++);
+
+    assert.throws(() => s.target.age = 3.5, ReactiveStorageError, '"age": Expected type integer');
+    assert.throws(() => s.target.age = 200, ReactiveStorageError, 'Expected a number <= 150');
+    assert.throws(() => s.register('role', 'root'), ReactiveStorageError, 'Expected one of admin, guest');
+    assert.throws(() => s.target.user = { tags: [] }, ReactiveStorageError, 'Missing required key "id"');
+    assert.throws(() => s.target.user.tags = [ 'a', 3 ], ReactiveStorageError, '"user.tags.1"');
+    assert.throws(() => s.target.user.id = '1', ReactiveStorageError, '"user.id"');
+    assert.equal(s.shallowEndpoint.age, 42);
+    assert.deepEqual(s.snapshot(), { age: 42, role: undefined, user: { id: 1, tags: [] } });
+    assert.equal(calls, 0);
+  });
+  it('Validates all items of an array mutation before applying any', () => {
+    const s = create({ depth: Infinity, schema, arrayMutators: true });
+    s.register('user', { id: 1, tags: [ 'a' ] });
+    let calls = 0;
+    s.watch('user.tags.*', () => calls++);
+    assert.throws(() => s.target.user.tags.push('b', 3, 'c'), ReactiveStorageError, '"user.tags.2"');
+    assert.deepEqual(s.snapshot(), { user: { id: 1, tags: [ 'a' ] } });
+    assert.lengthOf(s.target.user.tags, 1);
+    assert.equal(calls, 0);
+
+    const coercing = create({ depth: Infinity, schema, arrayMutators: true, onInvalid: 'coerce' });
+    coercing.register('user', { id: 1, tags: [ 'a' ] });
+    assert.equal(coercing.target.user.tags.unshift(1, 2), 3);
+    assert.deepEqual(coercing.snapshot(), { user: { id: 1, tags: [ '1', '2', 'a' ] } });
+  });
+  it('Ignores invalid values', () => {
+    const s = create({ depth: Infinity, schema, onInvalid: 'ignore' });
+    s.register('age', 42);
+    s.register('user', { id: 1 });
+    s.target.age = -1;
+    s.target.user.id = 'foo';
+    assert.deepEqual(s.snapshot(), { age: 42, user: { id: 1 } });
+  });
+  it('Coerces invalid values', () => {
+    const s = create({ depth: Infinity, schema, onInvalid: 'coerce' });
+    s.register('age', '42.4');
+    s.register('name', 3);
+    s.register('user', { id: '7', tags: [ 1, 'b' ] });
+    assert.deepEqual(s.snapshot(), { age: 42, name: '3', user: { id: 7, tags: [ '1', 'b' ] } });
+    s.target.age = 300;
+    assert.equal(s.target.age, 150);
+    s.target.age = 'foo';
+    assert.equal(s.target.age, 150);
+  });
+  it('Passes rejections to a handler function', () => {
+    const events = [];
+    const s = create({
+      depth: Infinity,
+      schema,
+      onInvalid: event => {
+        events.push(event);
+        if (event.path[0] === 'age') event.set(0);
+      }
+    });
+    s.register('age', -5);
+    s.register('user', { id: 1, tags: [ 2 ] });
+    assert.equal(s.target.age, 0);
+    assert.isUndefined(s.target.user);
+    assert.lengthOf(events, 2);
+    assert.deepEqual(events[1].path, [ 'user' ]);
+    assert.deepEqual(events[1].invalidPath, [ 'user', 'tags', '0' ]);
+    assert.include(events[1].reason, 'Expected type string');
+  });
+  it('Handles removing required keys like invalid writes', () => {
+    const s = create({ depth: Infinity, schema });
+    s.register('user', { id: 1, tags: [] });
+    let calls = 0;
+    s.watch('user.id', () => calls++);
+    assert.throws(() => s.remove([ 'user', 'id' ]), ReactiveStorageError, 'Missing required key "id"');
+    assert.throws(() => ReactiveStorage.remove(s.target.user, 'id'), ReactiveStorageError, '"user"');
+    assert.isTrue(s.remove([ 'user', 'tags' ]));
+    assert.deepEqual(s.snapshot(), { user: { id: 1 } });
+    assert.equal(calls, 0);
+
+    const ignoring = create({ depth: Infinity, schema, onInvalid: 'ignore' });
+    ignoring.register('user', { id: 1 });
+    assert.isFalse(ignoring.remove([ 'user', 'id' ]));
+    assert.deepEqual(ignoring.snapshot(), { user: { id: 1 } });
+
+    const events = [];
+    const handled = create({
+      depth: Infinity,
+      schema,
+      onInvalid: event => {
+        events.push(event);
+        event.set({ ...event.val, id: 0 });
+      }
+    });
+    handled.register('user', { id: 1, tags: [ 'a' ] });
+    assert.isFalse(handled.remove([ 'user', 'id' ]));
+    assert.deepEqual(handled.snapshot(), { user: { id: 0, tags: [ 'a' ] } });
+    assert.deepEqual(events.map(({ path, val }) => [ path, val ]), [ [ [ 'user' ], { tags: [ 'a' ] } ] ]);
+  });
+  it('Accepts schemas in nested depth configs', () => {
+    const s = create({
+      depth: {
+        depth: Infinity,
+        schema: { items: { type: 'number' } },
+      },
+    });
+    s.register('list', [ 1, 2 ]);
+    assert.throws(() => s.target.list[0] = 'foo', ReactiveStorageError, '"list.0"');
+    s.target.list[1] = 3;
+    assert.deepEqual(s.snapshot(), { list: [ 1, 3 ] });
+  });
+});
+
+describe('Config validation', () => {
+  const assertError = (fn, code, message) => {
+    try {
+      fn();
+    } catch (e) {
+      assert.instanceOf(e, ReactiveStorageError);
+      assert.equal(e.code, code);
+      assert.include(e.message, message);
+      return;
+    }
+    assert.fail('Expected an error to be thrown');
+  };
+
+  it('Throws on an empty definition chain', () => {
+    assertError(() => new ReactiveStorage([]), 'EMPTY_CONFIG_CHAIN', 'config:');
+    assertError(() => ReactiveStorage.register('foo', 1, []), 'EMPTY_CONFIG_CHAIN', 'config:');
+  });
+  it('Throws on invalid layers and unknown options', () => {
+    assertError(() => new ReactiveStorage([ {}, null ]), 'INVALID_CONFIG_LAYER', 'config[1]:');
+    assertError(() => new ReactiveStorage({ postsetter: () => {} }), 'UNKNOWN_OPTION', '`postsetter`');
+  });
+  it('Throws on invalid option values, naming the layer', () => {
+    assertError(() => new ReactiveStorage({ getter: 3 }), 'INVALID_OPTION', 'config: `getter`');
+    assertError(() => new ReactiveStorage([ {}, { enumerable: 'yes' } ]), 'INVALID_OPTION', 'config[1]: `enumerable`');
+    assertError(() => new ReactiveStorage({ depth: -1 }), 'INVALID_OPTION', '`depth`');
+    assertError(() => new ReactiveStorage({ depth: { depth: { getter: {} } } }), 'INVALID_OPTION', 'config.depth.depth: `getter`');
+    assertError(() => new ReactiveStorage({ onInvalid: 'warn' }), 'INVALID_OPTION', '`onInvalid`');
+    assertError(() => new ReactiveStorage({ batch: 'async' }), 'INVALID_OPTION', '`batch`');
+    assertError(() => new ReactiveStorage({ history: { maxSize: -1 } }), 'INVALID_OPTION', '`history`');
+    assertError(() => new ReactiveStorage({ persist: {} }), 'INVALID_OPTION', '`persist`');
+  });
+  it('Throws on misplaced options', () => {
+    assertError(() => new ReactiveStorage({ depth: { target: {} } }), 'MISPLACED_OPTION', 'config.depth: `target`');
+    assertError(() => new ReactiveStorage({ depth: { shallowEndpoint: {} } }), 'MISPLACED_OPTION', '`shallowEndpoint`');
+    assertError(() => new ReactiveStorage({ depth: { history: true } }), 'MISPLACED_OPTION', '`history`');
+    assertError(() => new ReactiveStorage([ {}, { batch: 'sync' } ]), 'MISPLACED_OPTION', 'config[1]: `batch`');
+    assertError(() => ReactiveStorage.register('foo', 1, { history: true }), 'MISPLACED_OPTION', 'config: `history`');
+    assertError(() => ReactiveStorage.registerFrom({ foo: 1 }, [ { eventTarget: new EventTarget() } ]), 'MISPLACED_OPTION', 'config[0]: `eventTarget`');
+  });
+  it('Accepts valid configurations', () => {
+    new ReactiveStorage([
+      { depth: { depth: 2, setter: 'inherit', getter: false, depthFilter: 'inherit' }, history: { maxSize: 3 }, batch: 'sync' },
+      { enumerable: false, postSetter: () => {}, onInvalid: () => {} },
+    ]);
+    ReactiveStorage.registerRecursiveFrom({ foo: 1 });
+    // 'inherit' has nothing to inherit from at the top and is ignored
+    const s = new ReactiveStorage({ setter: 'inherit', getter: 'inherit', postSetter: 'inherit', depthFilter: 'inherit' });
+    s.register('foo', { bar: 1 });
+    assert.deepEqual(s.snapshot(), { foo: { bar: 1 } });
+  });
+});
+
+describe('Maps and Sets', () => {
+  const createTracked = (config = {}) => {
+    const events = [];
+    const s = create({
+      depth: Infinity,
+      depthFilter: obj => obj instanceof Map || obj instanceof Set || ReactiveStorage.Filter.objectLiteralOrArray(obj),
+      setter: ({ path, mutation }) => { events.push([ 'set', path, mutation?.method ]) },
+      getter: ({ path }) => { events.push([ 'get', path ]) },
+      ...config,
+    });
+    return { s, events };
+  };
+
+  it('Registers Map entries with their keys as path', () => {
+    const { s, events } = createTracked();
+    const key = { id: 1 };
+    s.register('users', new Map([ [ 'foo', { name: 'foo' } ], [ key, 3 ] ]));
+    const users = s.target.users;
+    assert.instanceOf(users, Map);
+    assert.notEqual(users, s.shallowEndpoint.users);
+    assert.equal(users.size, 2);
+    assert.equal(users.get(key), 3);
+    assert.deepEqual(Array.from(users.keys()), [ 'foo', key ]);
+    assert.deepEqual(s.snapshot(), { users: new Map([ [ 'foo', { name: 'foo' } ], [ key, 3 ] ]) });
+
+    events.length = 0;
+    users.get('foo').name = 'bar';
+    assert.deepInclude(events, [ 'get', [ 'users', 'foo' ] ]);
+    assert.deepInclude(events, [ 'set', [ 'users', 'foo', 'name' ], undefined ]);
+    assert.equal(users.get('foo').name, 'bar');
+  });
+  it('Notifies on structural mutations and registers new entries', () => {
+    const paths = [];
+    const { s, events } = createTracked({
+      postSetter: ({ path, mutation }) => { paths.push([ path, mutation?.method ]) },
+    });
+    s.register('map', new Map());
+    paths.length = 0;
+    events.length = 0;
+
+    const map = s.target.map;
+    assert.equal(map.set('a', { deep: 1 }), map);
+    map.get('a').deep = 2;
+    map.set('a', 5);
+    assert.isTrue(map.delete('a'));
+    assert.isFalse(map.delete('a'));
+    map.set('b', 1);
+    map.clear();
+    assert.equal(map.size, 0);
+    assert.deepEqual(paths, [
+      [ [ 'map', 'a', 'deep' ], undefined ],
+      [ [ 'map', 'a' ], undefined ],
+      [ [ 'map' ], 'set' ],
+      [ [ 'map', 'a', 'deep' ], undefined ],
+      [ [ 'map', 'a' ], undefined ],
+      [ [ 'map' ], 'delete' ],
+      [ [ 'map', 'b' ], undefined ],
+      [ [ 'map' ], 'set' ],
+      [ [ 'map' ], 'clear' ],
+    ]);
+    assert.deepInclude(events, [ 'set', [ 'map' ], 'delete' ]);
+  });
+  it('Passes a copy of the collection as prevVal and can discard mutations', () => {
+    const { s } = createTracked({
+      setter: ({ mutation, prevVal }) => {
+        if (mutation) {
+          assert.instanceOf(prevVal, Set);
+          return mutation.method === 'delete';
+        }
+      }
+    });
+    s.register('tags', new Set([ 'a' ]));
+    const tags = s.target.tags;
+    tags.add('b');
+    tags.add('b');
+    assert.isFalse(tags.delete('a'));
+    assert.deepEqual(Array.from(tags), [ 'a', 'b' ]);
+    assert.isTrue(tags.has('b'));
+  });
+  it('Registers Set items deeply with the added value as path key', () => {
+    const { s } = createTracked();
+    const raw = { n: 1 };
+    let calls = 0;
+    s.register('items', new Set([ raw ]));
+    s.watch([ 'items', raw, 'n' ], () => calls++);
+    const [ item ] = s.target.items;
+    assert.notEqual(item, raw);
+    item.n = 2;
+    assert.equal(calls, 1);
+    assert.isTrue(s.target.items.has(item));
+    assert.isTrue(s.target.items.has(raw));
+    assert.isTrue(ReactiveStorage.remove(s.target.items, item));
+    assert.equal(s.target.items.size, 0);
+  });
+  it('Validates entries against a schema', () => {
+    const { s } = createTracked({ schema: { properties: { map: { items: { type: 'number' } } } } });
+    assert.throws(() => s.register('map', new Map([ [ 'a', 'foo' ] ])), ReactiveStorageError, '"map.a"');
+    s.register('map', new Map([ [ 'a', 1 ] ]));
+    assert.throws(() => s.target.map.set('a', 'foo'), ReactiveStorageError);
+    assert.throws(() => s.target.map.set('b', 'foo'), ReactiveStorageError);
+  });
+});
+
+describe('Cycles and shared references', () => {
+  const cyclic = () => {
+    const obj = { foo: 3, bar: { baz: 4 } };
+    obj.bar.parent = obj;
+    return obj;
+  };
+
+  it('Throws on cycles by default', () => {
+    try {
+      ReactiveStorage.registerRecursive('obj', cyclic());
+    } catch (e) {
+      assert.instanceOf(e, ReactiveStorageError);
+      assert.equal(e.code, 'CIRCULAR_REFERENCE');
+      assert.include(e.message, '"obj.bar.parent"');
+      return;
+    }
+    assert.fail('Expected an error to be thrown');
+  });
+  it('Keeps the previous value when a cyclic value is rejected', () => {
+    const s = create({ depth: Infinity });
+    s.register('obj', { foo: 1 });
+    const prev = s.target.obj;
+    assert.throws(() => { s.target.obj = cyclic() }, ReactiveStorageError, 'obj.bar.parent');
+    assert.equal(s.target.obj, prev);
+    assert.deepEqual(s.snapshot(), { obj: { foo: 1 } });
+  });
+  it('Stops registering on cycles', () => {
+    const obj = cyclic();
+    const { target } = ReactiveStorage.registerRecursive('obj', obj, { onCycle: 'stop' });
+    assert.equal(target.obj.bar.parent, obj);
+    assertHasGetter(target.obj.bar, 'baz');
+  });
+  it('Links the existing deep target on cycles', () => {
+    const paths = [];
+    const { target } = ReactiveStorage.registerRecursive('obj', cyclic(), {
+      onCycle: 'link',
+      depthFilter: ReactiveStorage.Filter.any,
+      postSetter: ({ path, initial }) => { if (!initial) paths.push(path.join('.')) },
+    });
+    assert.equal(target.obj.bar.parent, target.obj);
+    target.obj.bar.parent.bar.parent.foo = 5;
+    assert.equal(target.obj.foo, 5);
+    assert.deepEqual(paths, [ 'obj.foo' ]);
+    assert.deepEqual(ReactiveStorage.snapshot(target).obj.bar.parent.foo, 5);
+  });
+  it('Detects cycles through existing deep targets', () => {
+    const s = create({ depth: Infinity });
+    s.register('root', { child: {} });
+    assert.throws(() => { s.target.root.child = s.target.root }, ReactiveStorageError, '"root.child"');
+    assert.throws(() => { s.target.root.child = { back: s.target.root } }, ReactiveStorageError, '"root.child.back"');
+    assert.deepEqual(s.snapshot(), { root: { child: {} } });
+
+    const { target } = ReactiveStorage.registerRecursive('root', { child: {} }, { onCycle: 'stop' });
+    target.root.child = target.root;
+    assert.equal(target.root.child, target.root);
+
+    const linking = create({ depth: Infinity, onCycle: 'link' });
+    linking.register('root', { child: {}, foo: 1 });
+    linking.target.root.child = { back: linking.target.root };
+    assert.equal(linking.target.root.child.back, linking.target.root);
+    linking.target.root.child.back.foo = 2;
+    assert.equal(linking.target.root.foo, 2);
+  });
+  it('Keeps null values with a depth filter accepting them', () => {
+    const s = create({ depth: Infinity, depthFilter: ReactiveStorage.Filter.any });
+    s.register('obj', { foo: null, list: [ null ] });
+    s.target.obj.list[0] = null;
+    s.set([ 'obj', 'baz' ], null);
+    assert.deepEqual(s.snapshot(), { obj: { foo: null, list: [ null ], baz: null } });
+  });
+  it('Registers shared references separately by default', () => {
+    const shared = { n: 1 };
+    const { target } = ReactiveStorage.registerRecursive('obj', { a: shared, b: shared });
+    assert.notEqual(target.obj.a, target.obj.b);
+    target.obj.a.n = 2;
+    assert.equal(target.obj.b.n, 1);
+  });
+  it('Reuses one deep target per source object with `shareReferences`', () => {
+    const shared = { n: 1 };
+    const s = create({ depth: Infinity, shareReferences: true });
+    s.register('obj', { a: shared, list: [ shared ] });
+    assert.equal(s.target.obj.a, s.target.obj.list[0]);
+    s.target.obj.list[0].n = 2;
+    assert.equal(s.target.obj.a.n, 2);
+
+    // Only within the same assignment
+    s.register('other', shared);
+    assert.notEqual(s.target.other, s.target.obj.a);
+  });
+  it('Does not share references beyond the configured depth', () => {
+    const shared = { n: 1 };
+    const s = create({ depth: 2, shareReferences: true });
+    s.register('obj', { a: shared, b: { c: shared } });
+    assertHasGetter(s.target.obj.a, 'n');
+    assert.equal(s.target.obj.b.c, shared);
+  });
+});
+
+describe('Path-scoped options', () => {
+  it('Applies the options of matching patterns only', () => {
+    const paths = [];
+    const s = create({
+      depth: Infinity,
+      postSetter: ({ path }) => { paths.push('default:' + path.join('.')) },
+      paths: {
+        'users.*.name': {
+          setter: ({ val }) => typeof val !== 'string',
+          postSetter: ({ path }) => { paths.push('name:' + path.join('.')) },
+        },
+      },
+    });
+    s.register('users', [ { name: 'foo', age: 3 } ]);
+    paths.length = 0;
+
+    s.target.users[0].name = 4;
+    assert.equal(s.target.users[0].name, 'foo');
+    s.target.users[0].name = 'bar';
+    s.target.users[0].age = 4;
+    assert.deepEqual(paths, [ 'name:users.0.name', 'name:users.0.name', 'default:users.0.age' ]);
+  });
+  it('Supports `**` and `#` and merges patterns in order', () => {
+    const s = create({
+      depth: Infinity,
+      paths: {
+        'settings.**': { enumerable: false },
+        'settings.visible': { enumerable: true },
+        'items.#': { getter: ({ val }) => val * 2 },
+      },
+    });
+    s.register('settings', { hidden: 1, visible: 2, deep: { foo: 3 } });
+    s.register('items', [ 1, 2 ]);
+    assertIsNotEnumerable(s.target.settings, 'hidden');
+    assertIsNotEnumerable(s.target.settings.deep, 'foo');
+    assertIsEnumerable(s.target.settings, 'visible');
+    // `**` also matches no key at all
+    assertIsNotEnumerable(s.target, 'settings');
+    assert.deepEqual(Array.from(s.target.items), [ 2, 4 ]);
+  });
+  it('Does not inherit the options of a match into its depth', () => {
+    const paths = [];
+    const s = create({
+      depth: Infinity,
+      paths: {
+        'foo': { postSetter: ({ path }) => { paths.push(path.join('.')) } },
+      },
+    });
+    s.register('foo', { bar: 1 });
+    s.target.foo.bar = 2;
+    assert.deepEqual(paths, [ 'foo' ]);
+  });
+  it('Limits the depth of matching properties', () => {
+    const s = create({
+      depth: Infinity,
+      paths: {
+        'items.#': { depth: 0 },
+        'tree': { depth: 2 },
+      },
+    });
+    s.register('items', [ { foo: 1 } ]);
+    s.register('tree', { a: { b: { c: 1 } } });
+    assertHasGetter(s.target, 'items');
+    assertHasGetter(s.target.items, 0);
+    assertHasValue(s.target.items[0], 'foo');
+    assertHasGetter(s.target.tree, 'a');
+    assertHasGetter(s.target.tree.a, 'b');
+    assertHasValue(s.target.tree.a.b, 'c');
+  });
+  it('Validates path options', () => {
+    assert.throws(() => create({ paths: { 'foo': { target: {} } } }), ReactiveStorageError, 'config.paths["foo"]: Unknown option `target`');
+    assert.throws(() => create({ paths: { 'foo': { depth: -1 } } }), ReactiveStorageError, '`depth`');
+  });
+});
+
+describe('Lazy registration', () => {
+  const createLogged = lazy => {
+    const events = [];
+    const s = create({
+      depth: Infinity,
+      lazy,
+      setter: ({ path, initial }) => { events.push([ path.join('.'), initial ]) },
+    });
+    return { s, events };
+  };
+  const data = () => ({ a: { b: [ 1, { c: 2 } ] }, d: 3 });
+
+  it('Registers deep keys on first read', () => {
+    const { s, events } = createLogged(true);
+    s.register('foo', data());
+    assert.deepEqual(events, [ [ 'foo', true ] ]);
+    assert.property(Object.getOwnPropertyDescriptor(s.target.foo, 'a'), 'get');
+    assert.deepEqual(events, [ [ 'foo', true ], [ 'foo.a', true ], [ 'foo.d', true ] ]);
+  });
+  it('Gives the same results as eager registration', () => {
+    const eager = createLogged(false);
+    const lazy = createLogged(true);
+    for (const { s } of [ eager, lazy ]) {
+      s.register('foo', data());
+      s.target.foo.a.b[1].c = 4;
+      s.target.foo.a.b = [ 5 ];
+    }
+    assert.deepEqual(lazy.s.snapshot(), eager.s.snapshot());
+    assert.sameDeepMembers(lazy.events, eager.events);
+  });
+  it('Does not record lazily registered keys as changes', () => {
+    const { s } = createLogged(true);
+    const patches = [];
+    s.onPatch(ops => { patches.push(...ops) });
+    s.register('foo', data());
+    s.target.foo.a.b[1].c;
+    assert.deepEqual(patches, [ { op: 'add', path: '/foo', value: data() } ]);
+  });
+  it('Detects cycles on assignment', () => {
+    const obj = { foo: 1, deep: { list: [] } };
+    obj.deep.list.push(obj.deep);
+    assert.throws(
+      () => ReactiveStorage.registerRecursive('obj', obj, { lazy: true }),
+      ReactiveStorageError,
+      'Circular reference at "obj.deep.list.0"');
+    obj.deep.list[0] = obj;
+    assert.throws(
+      () => ReactiveStorage.registerRecursive('obj', obj, { lazy: true }),
+      ReactiveStorageError,
+      'Circular reference at "obj.deep.list.0"');
+
+    const linked = ReactiveStorage.registerRecursive('obj', obj, { lazy: true, onCycle: 'link' }).target;
+    assert.equal(linked.obj.deep.list[0], linked.obj);
+  });
+  it('Takes the keys from the value at the time of assignment', () => {
+    const { s } = createLogged(true);
+    const value = data();
+    s.register('foo', value);
+    value.added = 1;
+    delete value.d;
+    assert.deepEqual(s.snapshot(), { foo: data() });
+  });
+  it('Takes nested values when their parent is first read', () => {
+    const eager = createLogged(false);
+    const lazy = createLogged(true);
+    for (const { s } of [ eager, lazy ]) {
+      const value = data();
+      s.register('foo', value);
+      value.a.b = 99;
+      value.d = 4;
+    }
+    assert.deepEqual(eager.s.snapshot(), { foo: data() });
+    assert.deepEqual(lazy.s.snapshot(), { foo: { a: { b: 99 }, d: 3 } });
+  });
+});
+
+describe('equals', () => {
+  const createCounted = (equals, config = {}) => {
+    const calls = { setter: 0, postSetter: 0 };
+    const s = create({
+      depth: Infinity,
+      equals,
+      setter: () => { calls.setter++ },
+      postSetter: () => { calls.postSetter++ },
+      ...config,
+    });
+    return { s, calls };
+  };
+
+  it('Processes every write by default', () => {
+    const { s, calls } = createCounted(false);
+    s.register('foo', 1);
+    s.target.foo = 1;
+    assert.deepEqual(calls, { setter: 2, postSetter: 2 });
+  });
+  it('Skips identical values with `Object.is`', () => {
+    const { s, calls } = createCounted(Object.is);
+    s.register('foo', NaN);
+    s.register('bar', { a: 1 });
+    s.target.foo = NaN;
+    // The current value of a deep property is its deep target
+    s.target.bar = s.target.bar;
+    assert.deepEqual(calls, { setter: 3, postSetter: 3 });
+    s.target.foo = 2;
+    assert.equal(calls.postSetter, 4);
+  });
+  it('Compares shallowly', () => {
+    const { s, calls } = createCounted('shallow', { depth: 0 });
+    const nested = [ 1 ];
+    s.register('foo', { a: 1, b: nested });
+    s.target.foo = { a: 1, b: nested };
+    assert.equal(calls.postSetter, 1);
+    s.target.foo = { a: 1, b: [ 1 ] };
+    assert.equal(calls.postSetter, 2);
+  });
+  it('Compares deeply without re-registering or invoking getters', () => {
+    let getterCalls = 0;
+    const { s, calls } = createCounted('deep', { getter: () => { getterCalls++ } });
+    s.register('foo', { a: [ 1, { b: 2 } ], m: new Map([ [ 'x', 1 ] ]) });
+    const deepTarget = s.target.foo;
+    const before = { ...calls };
+    getterCalls = 0;
+
+    s.target.foo = { a: [ 1, { b: 2 } ], m: new Map([ [ 'x', 1 ] ]) };
+    assert.deepEqual(calls, before);
+    assert.equal(getterCalls, 0);
+    assert.equal(s.target.foo, deepTarget);
+
+    s.target.foo.a[1] = { b: 2 };
+    assert.deepEqual(calls, before);
+    s.target.foo.a[1] = { b: 3 };
+    assert.isAbove(calls.postSetter, before.postSetter);
+  });
+  it('Compares lazy deep values by their source', () => {
+    const { s, calls } = createCounted('deep', { lazy: true });
+    s.register('foo', { a: { b: 1 } });
+    s.target.foo = { a: { b: 1 } };
+    assert.deepEqual(calls, { setter: 1, postSetter: 1 });
+  });
+  it('Accepts a custom comparator', () => {
+    const args = [];
+    const { s, calls } = createCounted((val, prevVal) => {
+      args.push([ val, prevVal ]);
+      return Math.abs(val - prevVal) < 1;
+    });
+    s.register('foo', 1);
+    s.target.foo = 1.5;
+    s.target.foo = 3;
+    assert.deepEqual(args, [ [ 1.5, 1 ], [ 3, 1 ] ]);
+    assert.equal(s.target.foo, 3);
+    assert.equal(calls.postSetter, 2);
+  });
+});
+
+describe('Reconciliation', () => {
+  const createLogged = (reconcile = true) => {
+    const paths = [];
+    const s = create({
+      depth: Infinity,
+      reconcile,
+      postSetter: ({ path, initial }) => { if (!initial) paths.push(path.join('.')) },
+    });
+    return { s, paths };
+  };
+
+  it('Keeps deep target identity and only notifies changed keys', () => {
+    const { s, paths } = createLogged();
+    s.register('foo', { bar: { baz: 1, lor: 2 }, other: [ 1, 2 ] });
+    const foo = s.target.foo;
+    const bar = s.target.foo.bar;
+    const other = s.target.foo.other;
+
+    s.target.foo = { bar: { baz: 1, lor: 3 }, other: [ 1, 2 ] };
+    assert.equal(s.target.foo, foo);
+    assert.equal(s.target.foo.bar, bar);
+    assert.equal(s.target.foo.other, other);
+    assert.deepEqual(paths, [ 'foo.bar.lor', 'foo.bar', 'foo' ]);
+    assert.deepEqual(s.snapshot(), { foo: { bar: { baz: 1, lor: 3 }, other: [ 1, 2 ] } });
+  });
+  it('Is a no-op for equal values', () => {
+    const { s, paths } = createLogged();
+    s.register('foo', { bar: [ { baz: 1 } ] });
+    s.target.foo = { bar: [ { baz: 1 } ] };
+    s.target.foo = s.target.foo;
+    assert.deepEqual(paths, []);
+  });
+  it('Registers added and removes missing keys', () => {
+    const { s, paths } = createLogged();
+    const events = [];
+    const removals = [];
+    s.register('foo', { a: 1, b: 2, list: [ 1, 2, 3 ] });
+    s.onFlush(changes => { events.push(...changes) });
+    s.watch('foo.b', ({ prevVal, removed }) => { removals.push([ 'foo.b', prevVal, removed ]) });
+    s.watch('foo.list.*', ({ path, prevVal, removed }) => {
+      if (removed) removals.push([ path.join('.'), prevVal, removed ]);
+    });
+    const list = s.target.foo.list;
+    s.target.foo = { a: 1, c: { d: 4 }, list: [ 1, 5 ] };
+    assert.deepEqual(s.snapshot(), { foo: { a: 1, c: { d: 4 }, list: [ 1, 5 ] } });
+    assert.notProperty(s.target.foo, 'b');
+    assertHasGetter(s.target.foo, 'c');
+    assertHasGetter(s.target.foo.c, 'd');
+    assert.equal(s.target.foo.list, list);
+    assert.lengthOf(list, 2);
+    assert.deepEqual(paths, [ 'foo.b', 'foo.list.1', 'foo.list.2', 'foo.list', 'foo' ]);
+    assert.deepEqual(removals, [ [ 'foo.b', 2, true ], [ 'foo.list.2', 3, true ] ]);
+    const event = events.find(({ path }) => path.length === 1);
+    assert.deepEqual(event.prevVal, { a: 1, b: 2, list: [ 1, 2, 3 ] });
+    assert.deepEqual(events.find(({ path }) => path.join('.') === 'foo.list').prevVal, [ 1, 2, 3 ]);
+  });
+  it('Replaces a deep target of a different shape', () => {
+    const { s } = createLogged();
+    s.register('foo', { bar: { baz: 1 } });
+    const bar = s.target.foo.bar;
+    s.target.foo = { bar: [ 1 ] };
+    assert.notEqual(s.target.foo.bar, bar);
+    assert.isArray(s.target.foo.bar);
+  });
+  it('Replaces array items whose key changed', () => {
+    const { s } = createLogged({ key: item => item.id });
+    s.register('list', [ { id: 1, n: 1 }, { id: 2, n: 2 } ]);
+    const [ first, second ] = s.target.list;
+    s.target.list = [ { id: 1, n: 3 }, { id: 3, n: 4 } ];
+    assert.equal(s.target.list[0], first);
+    assert.notEqual(s.target.list[1], second);
+    assert.deepEqual(s.snapshot(), { list: [ { id: 1, n: 3 }, { id: 3, n: 4 } ] });
+  });
+  it('Moves array items by their key', () => {
+    const { s, paths } = createLogged({ key: item => item.id });
+    s.register('list', [ { id: 1, n: 1 }, { id: 2, n: 2 } ]);
+    const [ first, second ] = s.target.list;
+    s.target.list = [ { id: 2, n: 2 }, { id: 1, n: 3 }, { id: 3, n: 4 } ];
+    assert.equal(s.target.list[0], second);
+    assert.equal(s.target.list[1], first);
+    assert.deepEqual(s.snapshot(), { list: [ { id: 2, n: 2 }, { id: 1, n: 3 }, { id: 3, n: 4 } ] });
+
+    const third = s.target.list[2];
+    paths.length = 0;
+    first.n = 5;
+    second.n = 6;
+    assert.deepEqual(paths, [ 'list.1.n', 'list.0.n' ]);
+
+    s.target.list = [ { id: 3, n: 4 }, { id: 1, n: 5 } ];
+    assert.equal(s.target.list[0], third);
+    assert.equal(s.target.list[1], first);
+    assert.deepEqual(s.snapshot(), { list: [ { id: 3, n: 4 }, { id: 1, n: 5 } ] });
+  });
+});
+
+describe('Read-only storages', () => {
+  it('Rejects writes to read-only properties', () => {
+    const s = create({ depth: Infinity, readonly: true, arrayMutators: true });
+    s.register('foo', { bar: [ 1 ] });
+    assert.deepEqual(s.snapshot(), { foo: { bar: [ 1 ] } });
+    assert.throws(() => s.target.foo = 3, ReactiveStorageError, '"foo"');
+    assert.throws(() => s.target.foo.bar[0] = 3, ReactiveStorageError, '"foo.bar.0"');
+    assert.throws(() => s.target.foo.bar.push(3), ReactiveStorageError);
+    assert.throws(() => s.set([ 'foo', 'baz' ], 3), ReactiveStorageError);
+    assert.throws(() => s.remove([ 'foo', 'bar' ]), ReactiveStorageError);
+    assert.deepEqual(s.snapshot(), { foo: { bar: [ 1 ] } });
+  });
+  it('Silently ignores writes in silent mode', () => {
+    const s = create({ depth: Infinity, readonly: 'silent' });
+    s.register('foo', { bar: 1 });
+    s.target.foo.bar = 2;
+    s.target.foo = 2;
+    assert.isFalse(s.set([ 'foo', 'baz' ], 3));
+    assert.deepEqual(s.snapshot(), { foo: { bar: 1 } });
+  });
+  it('Rejects deleting read-only properties', () => {
+    const s = create({ readonly: true });
+    s.register('foo', 1);
+    assert.throws(() => s.delete('foo'), ReactiveStorageError, '"foo"');
+    assert.equal(s.target.foo, 1);
+
+    const silent = create({ readonly: 'silent' });
+    silent.register('foo', 1);
+    assert.isFalse(silent.delete('foo'));
+    assert.equal(silent.target.foo, 1);
+  });
+  it('Does not prevent a plain delete on the target', () => {
+    const s = create({ readonly: true, depth: Infinity });
+    s.register('foo', { bar: 1 });
+    delete s.target.foo.bar;
+    assert.deepEqual(s.snapshot(), { foo: {} });
+
+    const frozen = create({ depth: Infinity });
+    frozen.register('foo', { bar: 1 });
+    frozen.freeze();
+    delete frozen.target.foo.bar;
+    assert.deepEqual(frozen.snapshot(), { foo: {} });
+  });
+  it('Can be configured per depth', () => {
+    const s = create({ readonly: true, depth: { readonly: false } });
+    s.register('foo', { bar: 1 });
+    s.target.foo.bar = 2;
+    assert.equal(s.target.foo.bar, 2);
+    assert.throws(() => s.target.foo = {}, ReactiveStorageError);
+  });
+  it('Provides a live read-only view', () => {
+    const s = create({ depth: Infinity });
+    s.register('user', { name: 'foo', tags: [ 'a' ] });
+    const view = s.readonlyView();
+    assert.equal(view, s.readonlyView());
+    assert.equal(view.user.name, 'foo');
+
+    s.target.user.name = 'bar';
+    s.target.user.tags = [ 'a', 'b' ];
+    s.register('other', 1);
+    assert.equal(view.user.name, 'bar');
+    assert.deepEqual(Array.from(view.user.tags), [ 'a', 'b' ]);
+    assert.equal(view.other, 1);
+    assert.deepEqual(ReactiveStorage.snapshot(view), s.snapshot());
+
+    assert.throws(() => view.user.name = 'baz', ReactiveStorageError, '"user.name"');
+    assert.throws(() => view.user = {}, ReactiveStorageError);
+    assert.throws(() => view.user.tags.push('c'), ReactiveStorageError);
+    assert.equal(s.target.user.name, 'bar');
+
+    s.delete('other');
+    assert.notProperty(view, 'other');
+  });
+  it('Reflects added and removed deep keys in deep views', () => {
+    const s = create({ depth: Infinity, arrayMutators: true });
+    s.register('user', { name: 'foo', tags: [ 'a' ] });
+    const user = s.readonlyView().user;
+    const tags = user.tags;
+
+    s.set([ 'user', 'age' ], 3);
+    s.remove([ 'user', 'name' ]);
+    s.target.user.tags.push('b');
+    assert.deepEqual(Object.keys(user), [ 'tags', 'age' ]);
+    assert.deepEqual(Array.from(tags), [ 'a', 'b' ]);
+
+    s.target.user.tags.pop();
+    assert.deepEqual(Array.from(tags), [ 'a' ]);
+  });
+  it('Freezes and unfreezes the whole storage', () => {
+    const s = create({ depth: Infinity });
+    s.register('foo', { bar: 1 });
+    assert.isFalse(s.isFrozen());
+    assert.equal(s.freeze(), s);
+    assert.isTrue(s.isFrozen());
+    assert.throws(() => s.target.foo.bar = 2, ReactiveStorageError, 'frozen');
+    assert.throws(() => s.target.foo = 2, ReactiveStorageError, 'frozen');
+    assert.throws(() => s.register('baz', 1), ReactiveStorageError, 'frozen');
+    assert.throws(() => s.delete('foo'), ReactiveStorageError, 'frozen');
+    assert.throws(() => s.computed('baz', () => 1), ReactiveStorageError, 'frozen');
+    assert.notProperty(s.target, 'baz');
+    s.unfreeze();
+    s.target.foo.bar = 2;
+    assert.deepEqual(s.snapshot(), { foo: { bar: 2 } });
+  });
+});
+
+describe('ReactiveStorage.bind(...)', () => {
+  const createPair = () => {
+    const a = create({ depth: Infinity });
+    const b = create({ depth: Infinity });
+    a.register('user', { name: 'foo', tags: [ 'x' ] });
+    b.register('form', {});
+    return { a, b };
+  };
+
+  it('Syncs both ways without loops', () => {
+    const { a, b } = createPair();
+    let aWrites = 0;
+    let bWrites = 0;
+    a.onFlush(() => aWrites++);
+    b.onFlush(() => bWrites++);
+    ReactiveStorage.bind(a, 'user', b, 'form.user');
+    assert.deepEqual(b.snapshot(), { form: { user: { name: 'foo', tags: [ 'x' ] } } });
+    assert.notEqual(b.target.form.user, a.target.user);
+    assert.equal(aWrites, 0);
+
+    b.target.form.user.name = 'bar';
+    assert.equal(a.target.user.name, 'bar');
+    a.target.user.tags = [ 'y' ];
+    assert.deepEqual(b.snapshot().form.user.tags, [ 'y' ]);
+    assert.equal(aWrites, 2);
+    assert.equal(bWrites, 3);
+  });
+  it('Syncs one way only', () => {
+    const { a, b } = createPair();
+    ReactiveStorage.bind(a, 'user.name', b, 'form.name', { direction: 'forward' });
+    assert.equal(b.target.form.name, 'foo');
+    b.target.form.name = 'bar';
+    assert.equal(a.target.user.name, 'foo');
+    a.target.user.name = 'baz';
+    assert.equal(b.target.form.name, 'baz');
+
+    ReactiveStorage.bind(a, 'user.tags', b, 'form.tags', { direction: 'backward', immediate: false });
+    assert.notProperty(b.target.form, 'tags');
+  });
+  it('Applies transforms in both directions', () => {
+    const { a, b } = createPair();
+    ReactiveStorage.bind(a, 'user.name', b, 'form.name', {
+      forward: name => name.toUpperCase(),
+      backward: name => name.toLowerCase(),
+    });
+    assert.equal(b.target.form.name, 'FOO');
+    b.target.form.name = 'BAR';
+    assert.equal(a.target.user.name, 'bar');
+    assert.equal(b.target.form.name, 'BAR');
+  });
+  it('Does not loop when flushing in microtasks', async () => {
+    const a = create({ batch: 'microtask' });
+    const b = create({ batch: 'microtask' });
+    a.register('n', 1);
+    b.register('n', 0);
+    let writes = 0;
+    a.onFlush(() => writes++);
+    b.onFlush(() => writes++);
+    ReactiveStorage.bind(a, 'n', b, 'n', { forward: n => n + 1, backward: n => n });
+    await new Promise(resolve => setTimeout(resolve));
+    assert.equal(b.target.n, 2);
+    assert.equal(a.target.n, 1);
+
+    writes = 0;
+    b.target.n = 5;
+    await new Promise(resolve => setTimeout(resolve));
+    assert.equal(a.target.n, 5);
+    assert.equal(b.target.n, 5);
+    assert.equal(writes, 2);
+  });
+  it('Writes into plain objects', () => {
+    const { a } = createPair();
+    const obj = {};
+    ReactiveStorage.bind(a, 'user', obj, 'nested.user', { direction: 'forward' });
+    assert.deepEqual(obj, { nested: { user: { name: 'foo', tags: [ 'x' ] } } });
+    a.target.user.name = 'bar';
+    assert.equal(obj.nested.user.name, 'bar');
+    assert.throws(() => ReactiveStorage.bind(a, 'user', obj, 'user'), ReactiveStorageError, 'second path');
+  });
+  it('Propagates removals and can be unbound', () => {
+    const { a, b } = createPair();
+    const unbind = ReactiveStorage.bind(a, 'user', b, 'form.user');
+    a.remove([ 'user', 'tags' ]);
+    assert.deepEqual(b.snapshot().form.user, { name: 'foo' });
+    unbind();
+    a.target.user.name = 'bar';
+    assert.equal(b.target.form.user.name, 'foo');
+  });
+});
+
+describe('Change streams', () => {
+  it('Iterates over the changes of matching properties', async () => {
+    const storage = new ReactiveStorage({ depth: Infinity });
+    storage.register('user', { name: 'foo', age: 1 });
+    const iterator = storage.changes('user.name');
+
+    storage.target.user.age = 2;
+    storage.target.user.name = 'bar';
+    storage.target.user.name = 'baz';
+    const first = await iterator.next();
+    assert.deepEqual(first.value, { path: [ 'user', 'name' ], val: 'bar', prevVal: 'foo', initial: false });
+    assert.equal((await iterator.next()).value.val, 'baz');
+
+    const next = iterator.next();
+    storage.target.user.name = 'qux';
+    assert.equal((await next).value.val, 'qux');
+  });
+  it('Iterates over all changes without a pattern and ends on return', async () => {
+    const storage = new ReactiveStorage({ depth: 1 });
+    const vals = [];
+    setTimeout(() => {
+      storage.register('foo', { bar: 1 });
+      storage.target.foo.bar = 2;
+    });
+    for await (const { path, val } of storage.changes()) {
+      vals.push([ path.join('.'), val ]);
+      if (val === 2) break;
+    }
+    assert.deepEqual(vals, [ [ 'foo.bar', 1 ], [ 'foo', { bar: 1 } ], [ 'foo.bar', 2 ] ]);
+
+    const iterator = storage.changes();
+    const next = iterator.next();
+    await iterator.return();
+    assert.deepEqual(await next, { value: undefined, done: true });
+    storage.target.foo.bar = 3;
+    assert.deepEqual(await iterator.next(), { value: undefined, done: true });
+  });
+  it('Handles buffer overflows as per the overflow policy', async () => {
+    const storage = new ReactiveStorage();
+    storage.register('foo', 0);
+    const oldest = storage.changes('foo', { bufferSize: 2 });
+    const newest = storage.changes('foo', { bufferSize: 2, overflow: 'drop-newest' });
+    const throwing = storage.changes('foo', { bufferSize: 2, overflow: 'throw' });
+    for (let i = 1; i <= 4; i++) {
+      storage.target.foo = i;
+    }
+    assert.deepEqual([ (await oldest.next()).value.val, (await oldest.next()).value.val ], [ 3, 4 ]);
+    assert.deepEqual([ (await newest.next()).value.val, (await newest.next()).value.val ], [ 1, 2 ]);
+
+    assert.equal((await throwing.next()).value.val, 1);
+    assert.equal((await throwing.next()).value.val, 2);
+    const err = await throwing.next().catch(err => err);
+    assert.instanceOf(err, ReactiveStorageError);
+    assert.equal(err.code, 'BUFFER_OVERFLOW');
+    assert.isTrue((await throwing.next()).done);
+
+    assert.throws(() => storage.changes('foo', { overflow: 'foo' }), ReactiveStorageError, 'overflow');
+  });
+  it('Dispatches change events on an EventTarget', () => {
+    const events = new EventTarget();
+    const details = [];
+    events.addEventListener('change', e => {
+      assert.instanceOf(e, CustomEvent);
+      details.push(e.detail);
+    });
+    const storage = new ReactiveStorage({ eventTarget: events });
+    storage.register('foo', 1);
+    storage.batch(() => {
+      storage.target.foo = 2;
+      storage.target.foo = 3;
+    });
+    assert.deepEqual(details, [
+      { path: [ 'foo' ], val: 1, prevVal: undefined, initial: true },
+      { path: [ 'foo' ], val: 3, prevVal: 1, initial: false },
+    ]);
+
+    assert.throws(() => new ReactiveStorage({ eventTarget: {} }), ReactiveStorageError, 'eventTarget');
+    assert.throws(() => new ReactiveStorage([ {}, { eventTarget: events } ]), ReactiveStorageError, 'first configuration');
+  });
+});
+
+describe('Observables and signals', () => {
+  function createStorage() {
+    const storage = new ReactiveStorage({ depth: Infinity });
+    storage.register('user', { name: 'foo', tags: [ 'x' ] });
+    return storage;
+  }
+
+  it('Emits the current value and every change of a property', () => {
+    const storage = createStorage();
+    const vals = [];
+    const subscription = storage.observe('user.name').subscribe({ next: val => vals.push(val) });
+    storage.target.user.name = 'bar';
+    storage.target.user.tags.push('y');
+    storage.target.user = { name: 'baz' };
+    storage.target.user = { name: 'baz' };
+    storage.remove([ 'user', 'name' ]);
+    assert.deepEqual(vals, [ 'foo', 'bar', 'baz', undefined ]);
+
+    assert.isFalse(subscription.closed);
+    subscription.unsubscribe();
+    assert.isTrue(subscription.closed);
+    storage.target.user.name = 'qux';
+    assert.lengthOf(vals, 4);
+  });
+  it('Emits deep values after nested changes', () => {
+    const storage = createStorage();
+    const vals = [];
+    storage.observe([ 'user', 'tags' ]).subscribe(val => vals.push([ ...val ]));
+    storage.set([ 'user', 'tags', 1 ], 'y');
+    storage.batch(() => {
+      storage.target.user.tags[0] = 'z';
+      storage.target.user.tags[1] = 'w';
+    });
+    assert.deepEqual(vals, [ [ 'x' ], [ 'x', 'y' ], [ 'z', 'w' ] ]);
+  });
+  it('Implements Symbol.observable', () => {
+    const storage = createStorage();
+    const observable = storage.observe('user.name');
+    const key = Symbol.observable ?? '@@observable';
+    assert.strictEqual(observable[key](), observable);
+  });
+  it('Passes errors of next to the observer and closes the subscription', async () => {
+    const storage = createStorage();
+    const errors = [];
+    const subscription = storage.observe('user.name').subscribe({
+      next: val => { if (val === 'bar') throw new Error(val) },
+      error: err => { errors.push(err.message) },
+    });
+    storage.target.user.name = 'bar';
+    storage.target.user.name = 'baz';
+    assert.deepEqual(errors, [ 'bar' ]);
+    assert.isTrue(subscription.closed);
+
+    const handlers = process.listeners('uncaughtException');
+    const uncaught = [];
+    process.removeAllListeners('uncaughtException');
+    process.on('uncaughtException', err => { uncaught.push(err.message) });
+    try {
+      const failed = storage.observe('user.name').subscribe(val => { throw new Error(val) });
+      assert.isTrue(failed.closed);
+      storage.target.user.name = 'qux';
+      await new Promise(resolve => setTimeout(resolve));
+      assert.deepEqual(uncaught, [ 'baz' ]);
+    } finally {
+      process.removeAllListeners('uncaughtException');
+      for (const handler of handlers) process.on('uncaughtException', handler);
+    }
+  });
+  it('Reads and writes through signals across deep reassignments', () => {
+    const storage = new ReactiveStorage({
+      depth: Infinity,
+      getter: ({ val }) => typeof val === 'string' ? val.toUpperCase() : val,
+    });
+    storage.register('user', { name: 'foo' });
+    const name = storage.signal('user.name');
+    const vals = [];
+    const unsubscribe = name.subscribe(val => vals.push(val));
+    assert.equal(name.get(), 'FOO');
+
+    storage.target.user = { name: 'bar' };
+    assert.equal(name.get(), 'BAR');
+    assert.isTrue(name.set('baz'));
+    assert.equal(storage.target.user.name, 'BAZ');
+    assert.deepEqual(vals, [ 'FOO', 'BAR', 'BAZ' ]);
+
+    unsubscribe();
+    name.set('qux');
+    assert.lengthOf(vals, 3);
+  });
+  it('Tracks signal reads within effects', () => {
+    const storage = createStorage();
+    const name = storage.signal('user.name');
+    const vals = [];
+    storage.effect(() => vals.push(name.get()));
+    storage.target.user.name = 'bar';
+    assert.deepEqual(vals, [ 'foo', 'bar' ]);
+  });
+});
+
+describe('Versioned snapshots', () => {
+  function createStorage() {
+    const storage = new ReactiveStorage({ depth: Infinity });
+    storage.registerFrom({ user: { name: 'foo', tags: [ 'x' ] }, todos: [ { done: false } ] });
+    return storage;
+  }
+
+  it('Returns the same frozen snapshot until the state changes', () => {
+    const storage = createStorage();
+    const snapshot = storage.getSnapshot();
+    assert.deepEqual(snapshot, { user: { name: 'foo', tags: [ 'x' ] }, todos: [ { done: false } ] });
+    assert.isTrue(Object.isFrozen(snapshot));
+    assert.isTrue(Object.isFrozen(snapshot.user.tags));
+    assert.isTrue(Object.isFrozen(snapshot.todos[0]));
+    assert.strictEqual(storage.getSnapshot(), snapshot);
+  });
+  it('Shares all branches that have not been written to', () => {
+    const storage = createStorage();
+    const prev = storage.getSnapshot();
+    storage.target.user.name = 'bar';
+    const next = storage.getSnapshot();
+    assert.notStrictEqual(next, prev);
+    assert.notStrictEqual(next.user, prev.user);
+    assert.strictEqual(next.user.tags, prev.user.tags);
+    assert.strictEqual(next.todos, prev.todos);
+    assert.equal(next.user.name, 'bar');
+    assert.equal(prev.user.name, 'foo');
+    assert.isTrue(Object.isFrozen(next.user));
+
+    storage.target.todos = [ { done: true } ];
+    storage.remove([ 'user', 'tags' ]);
+    const last = storage.getSnapshot();
+    assert.deepEqual(last, { user: { name: 'bar' }, todos: [ { done: true } ] });
+    assert.strictEqual(last.user.name, next.user.name);
+    assert.isTrue(Object.isFrozen(last.todos[0]));
+  });
+  it('Increments the version with every actual change', () => {
+    const storage = createStorage();
+    const snapshot = storage.getSnapshot();
+    const version = storage.version;
+    storage.target.user.name = 'foo';
+    storage.target.user.tags.length;
+    assert.equal(storage.version, version);
+    assert.strictEqual(storage.getSnapshot(), snapshot);
+
+    storage.target.user.name = 'bar';
+    assert.isAbove(storage.version, version);
+    const current = storage.version;
+    storage.delete('todos');
+    assert.isAbove(storage.version, current);
+  });
+  it('Keeps the snapshot when an equal value is assigned', () => {
+    const storage = createStorage();
+    const snapshot = storage.getSnapshot();
+    storage.target.user = { name: 'foo', tags: [ 'x' ] };
+    assert.strictEqual(storage.getSnapshot(), snapshot);
+    storage.target.user.tags = [ 'y' ];
+    assert.strictEqual(storage.getSnapshot().todos, snapshot.todos);
+    assert.notStrictEqual(storage.getSnapshot(), snapshot);
+  });
+  it('Notifies subscribers once per flush', () => {
+    const storage = createStorage();
+    let calls = 0;
+    const unsubscribe = storage.subscribe(() => calls++);
+    storage.target.user = { name: 'bar', tags: [] };
+    storage.batch(() => {
+      storage.target.user.name = 'baz';
+      storage.target.todos[0].done = true;
+    });
+    storage.remove([ 'user', 'name' ]);
+    storage.target.todos[0].done = true;
+    assert.equal(calls, 3);
+    unsubscribe();
+    storage.target.user.tags = [];
+    assert.equal(calls, 3);
+  });
+});
+
+describe('Property accessors', () => {
+  it('Binds the accessors of equal keys to their own property', () => {
+    const storage = new ReactiveStorage({ depth: Infinity });
+    storage.register('items', [ { id: 1 }, { id: 2 } ]);
+    const [ first, second ] = storage.target.items;
+    const descriptor = Object.getOwnPropertyDescriptor(first, 'id');
+    assert.notStrictEqual(Object.getOwnPropertyDescriptor(second, 'id').get, descriptor.get);
+
+    first.id = 3;
+    assert.deepEqual(storage.snapshot(), { items: [ { id: 3 }, { id: 2 } ] });
+  });
+  it('Keeps the state of every property separate', () => {
+    const paths = [];
+    const storage = new ReactiveStorage({
+      depth: Infinity,
+      postSetter: ({ path, initial }) => { if (!initial) paths.push(path.join('.')) },
+    });
+    storage.registerFrom({ a: { id: 1, nested: { id: 2 } }, b: { id: 3 } });
+    storage.target.b.id = 4;
+    storage.target.a.nested = { id: 5 };
+    storage.target.a.nested.id = 6;
+    assert.deepEqual(paths, [ 'b.id', 'a.nested', 'a.nested.id' ]);
+    assert.deepEqual(storage.snapshot(), { a: { id: 1, nested: { id: 6 } }, b: { id: 4 } });
+  });
+  it('Keeps the accessors of a target working on copies', () => {
+    const storage = new ReactiveStorage({ depth: Infinity });
+    storage.registerFrom({ foo: 1, deep: { bar: 2 } });
+    const copy = Object.defineProperties({}, Object.getOwnPropertyDescriptors(storage.target));
+    assert.equal(copy.foo, 1);
+    copy.foo = 3;
+    assert.equal(storage.target.foo, 3);
+    assert.equal(Object.create(storage.target.deep).bar, 2);
+
+    const deepCopy = Object.defineProperties({}, Object.getOwnPropertyDescriptors(storage.target.deep));
+    assert.equal(deepCopy.bar, 2);
+    deepCopy.bar = 4;
+    assert.deepEqual(storage.snapshot(), { foo: 3, deep: { bar: 4 } });
+  });
+});
+
+describe('Runtime layers', () => {
+  it('Adds a layer while keeping the current values', () => {
+    const storage = new ReactiveStorage([ {}, { getter: ({ val }) => val * 2 } ]);
+    storage.registerFrom({ foo: 1, bar: 2 });
+    assert.equal(storage.target.foo, 2);
+
+    const logs = [];
+    const target = storage.addLayer({ setter: ({ val, path }) => { logs.push([ path[0], val ]) } }, 1);
+    assert.lengthOf(storage.targets, 3);
+    assert.strictEqual(storage.targets[1], target);
+    assert.strictEqual(storage.config[0].shallowEndpoint, target);
+    assert.strictEqual(storage.config[1].shallowEndpoint, storage.targets[2]);
+    assert.deepEqual(logs, []);
+    assert.equal(target.foo, 2);
+    assert.equal(storage.target.bar, 4);
+
+    storage.target.foo = 5;
+    assert.deepEqual(logs, [ [ 'foo', 5 ] ]);
+    assert.equal(storage.shallowEndpoint.foo, 5);
+    assert.equal(storage.target.foo, 10);
+  });
+  it('Appends a layer with deep values', () => {
+    const storage = new ReactiveStorage({ depth: Infinity });
+    storage.register('user', { name: 'foo' });
+
+    const paths = [];
+    const target = storage.addLayer({ depth: Infinity, postSetter: ({ path }) => paths.push(path.join('.')) });
+    assert.strictEqual(storage.config[1].shallowEndpoint, storage.shallowEndpoint);
+    assert.deepEqual(paths, []);
+    assert.equal(target.user.name, 'foo');
+
+    storage.target.user = { name: 'bar' };
+    assert.equal(target.user.name, 'bar');
+    assert.deepEqual(storage.snapshot(), { user: { name: 'bar' } });
+    assert.include(paths, 'user');
+  });
+  it('Removes a layer while keeping the current values', () => {
+    const logs = [];
+    const storage = new ReactiveStorage([ {}, { setter: ({ val }) => { logs.push(val) } }, {} ]);
+    storage.register('foo', 1);
+    logs.length = 0;
+    const removedTarget = storage.targets[1];
+
+    const removed = storage.removeLayer(1);
+    assert.strictEqual(removed.target, removedTarget);
+    assert.lengthOf(storage.targets, 2);
+    assert.strictEqual(storage.config[0].shallowEndpoint, storage.targets[1]);
+    assert.notProperty(removedTarget, 'foo');
+    assert.equal(storage.target.foo, 1);
+
+    storage.target.foo = 2;
+    assert.deepEqual(logs, []);
+    assert.equal(storage.shallowEndpoint.foo, 2);
+  });
+  it('Rejects invalid layer indices and configurations', () => {
+    const storage = new ReactiveStorage();
+    for (const fn of [ () => storage.addLayer({}, 0), () => storage.addLayer({}, 2), () => storage.removeLayer(0) ]) {
+      const err = assert.throws(fn, ReactiveStorageError);
+      assert.equal(err.code, 'INVALID_LAYER_INDEX');
+    }
+    assert.throws(() => storage.addLayer({ batch: 'sync' }), ReactiveStorageError, 'config[1]');
+    assert.lengthOf(storage.config, 1);
+  });
+});